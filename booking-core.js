@@ -0,0 +1,4786 @@
+/**
+ * ===================================================================
+ * Bus/Railway Seat Booking System using Segment Tree
+ * ===================================================================
+ * 
+ * This implementation uses a Segment Tree with Lazy Propagation to
+ * efficiently manage seat availability across journey segments.
+ * 
+ * Time Complexity: O(log M) per operation where M = number of stations
+ * Space Complexity: O(4*M) per seat for the segment tree
+ * 
+ * ===================================================================
+ * HOW THE SEGMENT TREE WORKS
+ * ===================================================================
+ * 
+ * CONCEPT:
+ * Each seat has its own segment tree. The tree tracks which journey
+ * segments are occupied. For example, with 10 stations, we have 9
+ * segments: [0,1), [1,2), [2,3), ..., [8,9)
+ * 
+ * TREE STRUCTURE:
+ * The segment tree is a binary tree where:
+ * - Leaf nodes represent individual segments
+ * - Internal nodes represent ranges of segments
+ * - Each node stores the MAXIMUM occupancy in its range
+ * 
+ * Example with 4 segments [0,1), [1,2), [2,3), [3,4):
+ * 
+ *                    [0,4) Max=1          <- Root covers all segments
+ *                   /              \
+ *              [0,2) Max=1          [2,4) Max=0
+ *             /         \           /         \
+ *        [0,1) M=0   [1,2) M=1  [2,3) M=0  [3,4) M=0  <- Leaves
+ * 
+ * This tree indicates seat is booked for segment [1,2) only.
+ * 
+ * BOOKING OPERATION:
+ * When booking from station L to R:
+ * 1. Query: Check if max occupancy in range [L, R) is 0
+ * 2. If yes, Update: Add +1 to all segments in range [L, R)
+ * 3. Tree nodes update to reflect new maximum
+ * 
+ * LAZY PROPAGATION:
+ * Instead of updating all nodes immediately, we:
+ * - Mark parent nodes with a "lazy" value
+ * - Push lazy values down only when needed (during queries/updates)
+ * - This makes range updates O(log M) instead of O(M)
+ * 
+ * Example: Booking [1,3) adds +1 to segments [1,2) and [2,3)
+ * The tree marks ranges with lazy values and propagates on demand.
+ * 
+ * AVAILABILITY CHECK:
+ * To check if seat is available for journey [L, R):
+ * - Query maximum occupancy in range [L, R)
+ * - If max == 0: all segments free, seat available
+ * - If max > 0: at least one segment occupied, seat unavailable
+ * 
+ * ===================================================================
+ */
+
+// ======================== SEGMENT TREE CLASS ========================
+
+/**
+ * Segment Tree with Lazy Propagation for range max queries and updates.
+ * 
+ * Each node stores the maximum value in its range. This allows us to
+ * quickly check if ANY segment in a range is occupied (max > 0).
+ * The minimum is kept alongside, so free segments (min = 0) can be
+ * found just as quickly.
+ */
+class SegmentTree {
+    /**
+     * Initialize segment tree for n elements (stations/segments)
+     * @param {number} n - Number of segments (stations - 1)
+     */
+    constructor(n) {
+        this.n = n;
+        // Tree size: 4*n is sufficient for complete binary tree.
+        // Typed arrays keep thousands of trees small.
+        this.tree = new Int32Array(4 * n);
+        this.lazy = new Int32Array(4 * n);
+        this.low = new Int32Array(4 * n);   // Minimum of each node's range
+        this.trace = null;                  // Steps being recorded, see startTrace()
+    }
+
+    /**
+     * Copy of the tree with the same node values and lazy tags
+     * @returns {SegmentTree}
+     */
+    clone() {
+        const copy = new SegmentTree(this.n);
+        copy.tree.set(this.tree);
+        copy.lazy.set(this.lazy);
+        copy.low.set(this.low);
+        return copy;
+    }
+
+    /**
+     * Start recording every update, query and pushDown call as steps,
+     * for playing an operation back node by node
+     */
+    startTrace() {
+        this.trace = { n: this.n, tree: Array.from(this.tree), lazy: Array.from(this.lazy), steps: [] };
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The trace: { n, tree, lazy, steps }, where tree and lazy
+     *     are the node values before the first step. Each step is { op, node, start,
+     *     end, overlap, changes, ... }; changes lists the nodes it wrote as
+     *     { node, value, lazy } (see describeStep)
+     */
+    stopTrace() {
+        const trace = this.trace;
+        this.trace = null;
+        return trace;
+    }
+
+    /**
+     * Add a step to the trace, with the current values of the nodes it changed
+     * @param {Object} step
+     * @param {number[]} changed - Nodes written by the step
+     */
+    record(step, changed = []) {
+        const changes = changed.map(node => ({ node, value: this.tree[node], lazy: this.lazy[node] }));
+        this.trace.steps.push({ ...step, changes });
+    }
+
+    /**
+     * Node values and lazy tags after the first count steps of a trace
+     * @param {Object} trace - From stopTrace()
+     * @param {number} count - Steps to apply
+     * @returns {{tree: number[], lazy: number[]}}
+     */
+    static traceState(trace, count) {
+        const tree = trace.tree.slice();
+        const lazy = trace.lazy.slice();
+        trace.steps.slice(0, count).forEach(step => step.changes.forEach(change => {
+            tree[change.node] = change.value;
+            lazy[change.node] = change.lazy;
+        }));
+        return { tree, lazy };
+    }
+
+    /**
+     * Explain a trace step, e.g. "Update [2,4) by +1: node 4 [2,3) lies
+     * inside - add +1 to its value and lazy tag, and stop". Ranges are
+     * stations, numbered from 1.
+     *
+     * @param {Object} step - Entry of trace.steps
+     * @returns {string}
+     */
+    static describeStep(step) {
+        const range = (a, b) => `[${a + 1},${b + 1})`;
+        const signed = v => (v > 0 ? `+${v}` : String(v));
+        const node = `node ${step.node} ${range(step.start, step.end)}`;
+
+        if (step.op === 'pushDown') {
+            return `Push lazy ${signed(step.amount)} from ${node} down to both children`;
+        }
+        const update = step.op === 'update';
+        const op = update ? `Update ${range(step.l, step.r)} by ${signed(step.val)}` : `Query max of ${range(step.l, step.r)}`;
+        switch (step.overlap) {
+            case 'none':
+                return `${op}: ${node} is outside - ${update ? 'skip it' : 'it adds nothing'}`;
+            case 'full':
+                return update
+                    ? `${op}: ${node} lies inside - add ${signed(step.val)} to its value and lazy tag, and stop`
+                    : `${op}: ${node} lies inside - its max, ${step.result}, answers for the whole node`;
+            case 'partial':
+                return `${op}: ${node} overlaps part of the range - visit both children`;
+            default:
+                return update
+                    ? `${op}: ${node} takes the larger of its children's values, ${step.changes[0].value}`
+                    : `${op}: ${node} returns the larger of its children's answers, ${step.result}`;
+        }
+    }
+
+    /**
+     * Every node of the tree as nested objects, for a full-depth view
+     * @param {{tree: ArrayLike<number>, lazy: ArrayLike<number>}} state - Node values to show
+     *     (default: this tree's own; see traceState)
+     * @returns {Object|null} The root { node, start, end, value, lazy, children }. value is
+     *     the node's stored max: its own lazy tag is included, its ancestors' are not
+     */
+    getTreeNodes(state = this) {
+        const build = (node, start, end) => {
+            const mid = Math.floor((start + end) / 2);
+            return {
+                node,
+                start,
+                end,
+                value: state.tree[node],
+                lazy: state.lazy[node],
+                children: end - start > 1 ? [build(2 * node + 1, start, mid), build(2 * node + 2, mid, end)] : []
+            };
+        };
+        return this.n > 0 ? build(0, 0, this.n) : null;
+    }
+
+    /**
+     * Push down lazy values to children before accessing them.
+     * This ensures the tree maintains correct values during traversal.
+     * 
+     * @param {number} node - Current node index
+     * @param {number} start - Node's range start, for the trace
+     * @param {number} end - Node's range end, for the trace
+     */
+    pushDown(node, start, end) {
+        if (this.lazy[node] !== 0) {
+            const leftChild = 2 * node + 1;
+            const rightChild = 2 * node + 2;
+            const amount = this.lazy[node];
+
+            // Propagate lazy value to children
+            this.tree[leftChild] += this.lazy[node];
+            this.tree[rightChild] += this.lazy[node];
+            this.low[leftChild] += this.lazy[node];
+            this.low[rightChild] += this.lazy[node];
+            this.lazy[leftChild] += this.lazy[node];
+            this.lazy[rightChild] += this.lazy[node];
+
+            // Clear current lazy value
+            this.lazy[node] = 0;
+            if (this.trace) this.record({ op: 'pushDown', node, start, end, amount }, [node, leftChild, rightChild]);
+        }
+    }
+
+    /**
+     * Range update: Add val to all elements in [l, r)
+     * Used for booking (+1) and cancellation (-1)
+     * 
+     * @param {number} l - Start of range (inclusive)
+     * @param {number} r - End of range (exclusive)
+     * @param {number} val - Value to add (+1 for book, -1 for cancel)
+     * @param {number} node - Current node (default: root = 0)
+     * @param {number} start - Node's range start (default: 0)
+     * @param {number} end - Node's range end (default: n)
+     */
+    update(l, r, val, node = 0, start = 0, end = this.n) {
+        const step = { op: 'update', l, r, val, node, start, end };
+
+        // No overlap
+        if (r <= start || end <= l) {
+            if (this.trace) this.record({ ...step, overlap: 'none' });
+            return;
+        }
+
+        // Complete overlap - apply lazy update
+        if (l <= start && end <= r) {
+            this.tree[node] += val;
+            this.low[node] += val;
+            this.lazy[node] += val;
+            if (this.trace) this.record({ ...step, overlap: 'full' }, [node]);
+            return;
+        }
+
+        // Partial overlap - recurse to children
+        if (this.trace) this.record({ ...step, overlap: 'partial' });
+        this.pushDown(node, start, end);
+        const mid = Math.floor((start + end) / 2);
+        this.update(l, r, val, 2 * node + 1, start, mid);
+        this.update(l, r, val, 2 * node + 2, mid, end);
+
+        // Update current node from children. A child's tree value already
+        // includes its own lazy tag, so adding the tag again would count it twice.
+        this.tree[node] = Math.max(this.tree[2 * node + 1], this.tree[2 * node + 2]);
+        this.low[node] = Math.min(this.low[2 * node + 1], this.low[2 * node + 2]);
+        if (this.trace) this.record({ ...step, overlap: 'pull' }, [node]);
+    }
+
+    /**
+     * Range query: Get maximum value in [l, r)
+     * If max > 0, the range has at least one occupied segment
+     * 
+     * @param {number} l - Start of range (inclusive)
+     * @param {number} r - End of range (exclusive)
+     * @param {number} node - Current node (default: root = 0)
+     * @param {number} start - Node's range start (default: 0)
+     * @param {number} end - Node's range end (default: n)
+     * @returns {number} Maximum occupancy in the range
+     */
+    query(l, r, node = 0, start = 0, end = this.n) {
+        const step = { op: 'query', l, r, node, start, end };
+
+        // No overlap
+        if (r <= start || end <= l) {
+            if (this.trace) this.record({ ...step, overlap: 'none', result: 0 });
+            return 0;
+        }
+
+        // Complete overlap - return node value
+        if (l <= start && end <= r) {
+            if (this.trace) this.record({ ...step, overlap: 'full', result: this.tree[node] });
+            return this.tree[node];
+        }
+
+        // Partial overlap - query children
+        if (this.trace) this.record({ ...step, overlap: 'partial' });
+        this.pushDown(node, start, end);
+        const mid = Math.floor((start + end) / 2);
+        const leftMax = this.query(l, r, 2 * node + 1, start, mid);
+        const rightMax = this.query(l, r, 2 * node + 2, mid, end);
+
+        const result = Math.max(leftMax, rightMax);
+        if (this.trace) this.record({ ...step, overlap: 'pull', result });
+        return result;
+    }
+
+    /**
+     * Range query: Get minimum value in [l, r)
+     * If min > 0, every segment in the range is occupied
+     *
+     * @param {number} l - Start of range (inclusive)
+     * @param {number} r - End of range (exclusive)
+     * @returns {number} Minimum occupancy in the range
+     */
+    queryMin(l, r, node = 0, start = 0, end = this.n) {
+        if (r <= start || end <= l) {
+            return Infinity;
+        }
+        if (l <= start && end <= r) {
+            return this.low[node];
+        }
+
+        this.pushDown(node, start, end);
+        const mid = Math.floor((start + end) / 2);
+        return Math.min(
+            this.queryMin(l, r, 2 * node + 1, start, mid),
+            this.queryMin(l, r, 2 * node + 2, mid, end)
+        );
+    }
+
+    /**
+     * Find the first segment at or after pos that is occupied (value > 0)
+     * or free (value 0). Subtrees whose max or min rules out a match are
+     * skipped, so this takes O(log n).
+     *
+     * @param {number} pos - First segment to consider
+     * @param {boolean} occupied - Look for an occupied segment, else a free one
+     * @returns {number} Segment index, or n if there is none
+     */
+    findFirst(pos, occupied, node = 0, start = 0, end = this.n) {
+        if (end <= pos || start >= end) {
+            return this.n;
+        }
+        if (occupied ? this.tree[node] === 0 : this.low[node] > 0) {
+            return this.n;
+        }
+        if (end - start === 1) {
+            return start;
+        }
+
+        this.pushDown(node, start, end);
+        const mid = Math.floor((start + end) / 2);
+        const left = this.findFirst(pos, occupied, 2 * node + 1, start, mid);
+        return left !== this.n ? left : this.findFirst(pos, occupied, 2 * node + 2, mid, end);
+    }
+
+    /**
+     * Get tree structure for visualization
+     * 
+     * This creates a balanced visualization where all leaf nodes (single segments)
+     * appear on the same bottom line, regardless of their actual depth in the tree.
+     * 
+     * Each node's value represents the MAXIMUM occupancy in its range.
+     * 
+     * @returns {Array} Array of levels, each containing node objects with range info
+     */
+    getTreeVisualization() {
+        // Early termination if tree is empty
+        if (this.n === 0) return [];
+
+        // Collect all nodes with their metadata
+        const allNodes = [];
+
+        const collectNodes = (node, start, end, accLazy, depth) => {
+            if (start >= end || start >= this.n) return;
+
+            const effectiveVal = this.tree[node] + accLazy;
+            const isLeaf = (end - start === 1);
+
+            allNodes.push({
+                node,
+                start,
+                end,
+                value: effectiveVal,
+                range: `[${start + 1},${Math.min(end, this.n) + 1})`,
+                depth,
+                isLeaf,
+                accLazy
+            });
+
+            if (!isLeaf) {
+                const childAccLazy = accLazy + this.lazy[node];
+                const mid = Math.floor((start + end) / 2);
+                collectNodes(2 * node + 1, start, mid, childAccLazy, depth + 1);
+                collectNodes(2 * node + 2, mid, end, childAccLazy, depth + 1);
+            }
+        };
+
+        // Collect all nodes
+        collectNodes(0, 0, this.n, 0, 0);
+
+        // Find max depth among leaf nodes
+        const maxLeafDepth = Math.max(...allNodes.filter(n => n.isLeaf).map(n => n.depth));
+
+        // Assign display level: 
+        // - Leaf nodes: all go to bottom level (maxLeafDepth)
+        // - Internal nodes depth 0-2: show at their depth
+        // - Deep internal nodes (depth > 2 like [7,9)): hide them
+        allNodes.forEach(node => {
+            if (node.isLeaf) {
+                node.displayLevel = maxLeafDepth;
+            } else if (node.depth <= 2) {
+                node.displayLevel = node.depth;
+            } else {
+                node.displayLevel = -1; // Hide deep intermediate nodes
+            }
+        });
+
+        // Group by display level
+        const levels = [];
+        for (let level = 0; level <= maxLeafDepth; level++) {
+            const nodesAtLevel = allNodes
+                .filter(n => n.displayLevel === level)
+                .sort((a, b) => a.start - b.start);  // Sort by start position
+
+            if (nodesAtLevel.length > 0) {
+                levels.push(nodesAtLevel.map(n => ({
+                    value: n.value,
+                    range: n.range
+                })));
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Compare every node with the segment values the tree should hold.
+     *
+     * A node's real max and min are its stored values plus the lazy tags
+     * of its ancestors, which have not been pushed down to it yet; the
+     * node's own tag is already in its values.
+     *
+     * @param {number[]} values - Expected value of each segment
+     * @returns {Object[]} One { node, start, end, expected, actual } per wrong node,
+     *     where expected and actual are { max, min }
+     */
+    mismatches(values) {
+        const wrong = [];
+        const visit = (node, start, end, above) => {
+            let expected;
+            if (end - start === 1) {
+                expected = { max: values[start], min: values[start] };
+            } else {
+                const mid = Math.floor((start + end) / 2);
+                const left = visit(2 * node + 1, start, mid, above + this.lazy[node]);
+                const right = visit(2 * node + 2, mid, end, above + this.lazy[node]);
+                expected = { max: Math.max(left.max, right.max), min: Math.min(left.min, right.min) };
+            }
+
+            const actual = { max: this.tree[node] + above, min: this.low[node] + above };
+            if (actual.max !== expected.max || actual.min !== expected.min) {
+                wrong.push({ node, start, end, expected, actual });
+            }
+            return expected;
+        };
+        if (this.n > 0) visit(0, 0, this.n, 0);
+        return wrong;
+    }
+}
+
+// ========================= FREE SEAT INDEX ==========================
+
+/**
+ * Index answering "how many seats, and which seat first, are free for
+ * [l, r)" without visiting every seat.
+ *
+ * A seat's free time is a list of gaps: maximal runs [a, b) of free
+ * segments. The seat is free for [l, r) exactly when one of its gaps has
+ * a <= l and b >= r, and since one seat's gaps never overlap, at most one
+ * gap can match. Every gap is stored as a point (a, b) in two 2D segment
+ * trees: one counts the gaps at each point, the other keeps the lowest
+ * seat there. Both answer the corner query {a <= l, b >= r} and change a
+ * point in O(log² M), where M is the number of segments.
+ */
+class FreeSeatIndex {
+    /**
+     * Start with every seat free for the whole route
+     * @param {number} numSeats
+     * @param {number} numSegments
+     */
+    constructor(numSeats, numSegments) {
+        this.numSegments = numSegments;
+
+        // Free gaps of each seat as [a, b) pairs, in route order
+        this.gaps = [];
+        for (let i = 0; i < numSeats; i++) {
+            this.gaps.push([[0, numSegments]]);
+        }
+
+        // Grid points are (a, numSegments - b) so both query limits are upper bounds
+        this.size = 1;
+        while (this.size < numSegments + 1) this.size *= 2;
+        const cells = 4 * this.size * this.size;
+        this.counts = new Int32Array(cells);
+        this.firsts = new Int32Array(cells).fill(NO_SEAT);
+
+        // Seats per point: how many, and a min-heap of seat IDs (see cellFirst)
+        this.cells = new Map();
+        if (numSeats > 0 && numSegments > 0) {
+            const seats = Array.from({ length: numSeats }, (_, i) => i);
+            this.cells.set(this.cellKey(0, numSegments), { count: numSeats, live: new Set(seats), heap: seats });
+            this.setPoint(this.counts, 0, 0, numSeats, sum);
+            this.setPoint(this.firsts, 0, 0, 0, Math.min);
+        }
+    }
+
+    /**
+     * Count the seats free for [l, r)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number}
+     */
+    countFree(l, r) {
+        return this.sumCorner(l, this.numSegments - r);
+    }
+
+    /**
+     * Find the lowest-numbered seat free for [l, r)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number} Seat index, or -1 if none is free
+     */
+    firstFree(l, r) {
+        const seat = this.minCorner(l, this.numSegments - r);
+        return seat === NO_SEAT ? -1 : seat;
+    }
+
+    /**
+     * List the seats free for [l, r). Only points holding at least one
+     * gap are visited, so the work grows with the answer, not the train.
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number[]} Seat indices in ascending order
+     */
+    listFree(l, r) {
+        const seats = [];
+        this.pointsInCorner(l, this.numSegments - r).forEach(([x, y]) => {
+            seats.push(...this.cells.get(this.cellKey(x, this.numSegments - y)).live);
+        });
+        return seats.sort((a, b) => a - b);
+    }
+
+    /**
+     * Find the gap of a seat that contains a free segment
+     * @param {number} seatId
+     * @param {number} segment
+     * @returns {number[]|null} [a, b), or null if the segment is occupied
+     */
+    gapAt(seatId, segment) {
+        const gaps = this.gaps[seatId];
+        const i = lowerBound(gaps, g => g[1] > segment);
+        return i < gaps.length && gaps[i][0] <= segment ? gaps[i] : null;
+    }
+
+    /**
+     * Bring a seat's gaps up to date after [l, r) of its tree changed.
+     *
+     * Only gaps touching [l, r) can change. They are replaced by the free
+     * runs the tree now has between the outer ends of those gaps, which
+     * stay occupied (or are route ends) because the old gaps were maximal.
+     *
+     * @param {number} seatId
+     * @param {SegmentTree} tree - The seat's tree, already updated
+     * @param {number} l - Start of the changed range
+     * @param {number} r - End of the changed range
+     */
+    refresh(seatId, tree, l, r) {
+        const gaps = this.gaps[seatId];
+        const first = lowerBound(gaps, g => g[1] >= l);
+        const last = lowerBound(gaps, g => g[0] > r);
+        const old = gaps.slice(first, last);
+
+        const from = old.length > 0 ? Math.min(l, old[0][0]) : l;
+        const to = old.length > 0 ? Math.max(r, old[old.length - 1][1]) : r;
+        const fresh = [];
+        for (let pos = tree.findFirst(from, false); pos < to; pos = tree.findFirst(pos, false)) {
+            const end = Math.min(tree.findFirst(pos, true), to);
+            fresh.push([pos, end]);
+            pos = end;
+        }
+
+        const same = (g, h) => g[0] === h[0] && g[1] === h[1];
+        old.filter(g => !fresh.some(h => same(g, h))).forEach(g => this.removeGap(seatId, g[0], g[1]));
+        fresh.filter(g => !old.some(h => same(g, h))).forEach(g => this.addGap(seatId, g[0], g[1]));
+        gaps.splice(first, last - first, ...fresh);
+    }
+
+    /**
+     * Key of the point for gap [a, b)
+     * @returns {number}
+     */
+    cellKey(a, b) {
+        return a * (this.numSegments + 1) + b;
+    }
+
+    /**
+     * Record that a seat has gap [a, b)
+     */
+    addGap(seatId, a, b) {
+        const key = this.cellKey(a, b);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { count: 0, live: new Set(), heap: [] };
+            this.cells.set(key, cell);
+        }
+        cell.count++;
+        cell.live.add(seatId);
+        heapPush(cell.heap, seatId);
+
+        this.setPoint(this.counts, a, this.numSegments - b, cell.count, sum);
+        this.setPoint(this.firsts, a, this.numSegments - b, this.cellFirst(cell), Math.min);
+    }
+
+    /**
+     * Record that a seat no longer has gap [a, b)
+     */
+    removeGap(seatId, a, b) {
+        const key = this.cellKey(a, b);
+        const cell = this.cells.get(key);
+        cell.count--;
+        cell.live.delete(seatId);
+        if (cell.count === 0) this.cells.delete(key);
+
+        this.setPoint(this.counts, a, this.numSegments - b, cell.count, sum);
+        this.setPoint(this.firsts, a, this.numSegments - b, this.cellFirst(cell), Math.min);
+    }
+
+    /**
+     * Lowest seat at a point. Removed seats stay in the heap until they
+     * reach the top; the heap is rebuilt when they outnumber the live ones.
+     *
+     * @param {Object} cell - {count, live, heap}
+     * @returns {number} Seat index, or NO_SEAT for an empty cell
+     */
+    cellFirst(cell) {
+        if (cell.count === 0) return NO_SEAT;
+        if (cell.heap.length > 2 * cell.count + 16) {
+            cell.heap = [...cell.live].sort((x, y) => x - y);
+        }
+        while (!cell.live.has(cell.heap[0])) heapPop(cell.heap);
+        return cell.heap[0];
+    }
+
+    /**
+     * Set one point of a 2D tree and update every node covering it.
+     * Row i of the flat array is the inner tree of outer node i.
+     *
+     * @param {Int32Array} grid - counts or firsts
+     * @param {number} x - Outer coordinate
+     * @param {number} y - Inner coordinate
+     * @param {number} value
+     * @param {Function} combine - sum or Math.min
+     */
+    setPoint(grid, x, y, value, combine) {
+        const width = 2 * this.size;
+        let row = (x + this.size) * width;
+        let col = y + this.size;
+
+        grid[row + col] = value;
+        for (let j = col >> 1; j >= 1; j >>= 1) {
+            grid[row + j] = combine(grid[row + 2 * j], grid[row + 2 * j + 1]);
+        }
+        for (let i = (x + this.size) >> 1; i >= 1; i >>= 1) {
+            row = i * width;
+            for (let j = col; j >= 1; j >>= 1) {
+                grid[row + j] = combine(grid[2 * row + j], grid[2 * row + width + j]);
+            }
+        }
+    }
+
+    /**
+     * Outer nodes covering x <= maxX, as row offsets into the flat arrays
+     * @returns {number[]}
+     */
+    cornerRows(maxX) {
+        const width = 2 * this.size;
+        const rows = [];
+        for (let lo = this.size, hi = maxX + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) rows.push((lo++) * width);
+            if (hi & 1) rows.push((--hi) * width);
+        }
+        return rows;
+    }
+
+    /**
+     * Count the gaps at points with x <= maxX and y <= maxY. The loops are
+     * written out for each grid rather than sharing one with a combine
+     * callback, which kept these queries slower than a scan that stops at
+     * the first seat.
+     *
+     * @returns {number}
+     */
+    sumCorner(maxX, maxY) {
+        if (maxX < 0 || maxY < 0) return 0;
+
+        const width = 2 * this.size;
+        let total = 0;
+        for (let lo = this.size, hi = maxX + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) total += this.sumRow((lo++) * width, maxY);
+            if (hi & 1) total += this.sumRow((--hi) * width, maxY);
+        }
+        return total;
+    }
+
+    /**
+     * Count the gaps at points with y <= maxY in one inner tree
+     * @returns {number}
+     */
+    sumRow(row, maxY) {
+        const grid = this.counts;
+        let total = 0;
+        for (let lo = this.size, hi = maxY + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) total += grid[row + lo++];
+            if (hi & 1) total += grid[row + --hi];
+        }
+        return total;
+    }
+
+    /**
+     * Lowest seat at points with x <= maxX and y <= maxY. An outer node
+     * whose whole inner tree (its root, at offset 1) cannot beat the best
+     * seat so far is skipped.
+     *
+     * @returns {number} NO_SEAT if there is none
+     */
+    minCorner(maxX, maxY) {
+        if (maxX < 0 || maxY < 0) return NO_SEAT;
+
+        const width = 2 * this.size;
+        let best = NO_SEAT;
+        for (let lo = this.size, hi = maxX + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) best = this.minRow((lo++) * width, maxY, best);
+            if (hi & 1) best = this.minRow((--hi) * width, maxY, best);
+        }
+        return best;
+    }
+
+    /**
+     * Lower a best seat so far by the points with y <= maxY in one inner tree
+     * @returns {number}
+     */
+    minRow(row, maxY, best) {
+        const grid = this.firsts;
+        if (grid[row + 1] >= best) return best;
+        for (let lo = this.size, hi = maxY + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+            if (lo & 1) best = Math.min(best, grid[row + lo++]);
+            if (hi & 1) best = Math.min(best, grid[row + --hi]);
+        }
+        return best;
+    }
+
+    /**
+     * Every point with x <= maxX and y <= maxY that holds a gap. Each
+     * covering node with a non-zero count is followed down to its leaves,
+     * first along the inner tree to find the columns, then along the outer
+     * tree to find the rows within each column.
+     *
+     * @returns {number[][]} [x, y] grid points
+     */
+    pointsInCorner(maxX, maxY) {
+        if (maxX < 0 || maxY < 0) return [];
+
+        const width = 2 * this.size;
+        const grid = this.counts;
+        const points = [];
+        for (const row of this.cornerRows(maxX)) {
+            const columns = [];
+            for (let lo = this.size, hi = maxY + 1 + this.size; lo < hi; lo >>= 1, hi >>= 1) {
+                if (lo & 1) columns.push(lo++);
+                if (hi & 1) columns.push(--hi);
+            }
+            while (columns.length > 0) {
+                const col = columns.pop();
+                if (grid[row + col] === 0) continue;
+                if (col < this.size) {
+                    columns.push(2 * col, 2 * col + 1);
+                    continue;
+                }
+                const outer = [row / width];
+                while (outer.length > 0) {
+                    const node = outer.pop();
+                    if (grid[node * width + col] === 0) continue;
+                    if (node < this.size) outer.push(2 * node, 2 * node + 1);
+                    else points.push([node - this.size, col - this.size]);
+                }
+            }
+        }
+        return points;
+    }
+}
+
+// Empty value of the lowest-seat tree
+const NO_SEAT = 0x7fffffff;
+
+/**
+ * Sum of two numbers, as a combine function
+ */
+function sum(x, y) {
+    return x + y;
+}
+
+/**
+ * Index of the first element for which a predicate turns true, in an
+ * array where it is false for a prefix and true after
+ * @param {Array} array
+ * @param {Function} predicate
+ * @returns {number} array.length if it is never true
+ */
+function lowerBound(array, predicate) {
+    let lo = 0;
+    let hi = array.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (predicate(array[mid])) hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+}
+
+/**
+ * Add a number to a binary min-heap
+ */
+function heapPush(heap, value) {
+    heap.push(value);
+    let i = heap.length - 1;
+    while (i > 0 && heap[(i - 1) >> 1] > heap[i]) {
+        const parent = (i - 1) >> 1;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+/**
+ * Remove the smallest number from a binary min-heap
+ */
+function heapPop(heap) {
+    const last = heap.pop();
+    if (heap.length === 0) return;
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left] < heap[smallest]) smallest = left;
+        if (right < heap.length && heap[right] < heap[smallest]) smallest = right;
+        if (smallest === i) return;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+    }
+}
+
+// ============================== ROUTES ==============================
+
+/**
+ * Stations of a route with codes, names, cumulative distances (km) and
+ * scheduled times.
+ *
+ * Station i is { code, name, distance, arrival, departure }. Times are
+ * "HH:MM" strings or null (no arrival at the origin, no departure at the
+ * terminus). A generic route is used when no definition is available.
+ */
+class Route {
+    /**
+     * @param {Array<Object>} stations - Station definitions in route order
+     * @param {string} name - Route name
+     */
+    constructor(stations, name = '') {
+        this.stations = stations;
+        this.name = name;
+    }
+
+    /**
+     * Route with "Station N" names and one unit between stations
+     * @param {number} numStations
+     * @returns {Route}
+     */
+    static generic(numStations) {
+        const stations = [];
+        for (let i = 0; i < numStations; i++) {
+            stations.push({ code: null, name: `Station ${i + 1}`, distance: i, arrival: null, departure: null });
+        }
+        return new Route(stations);
+    }
+
+    /**
+     * Build a route from a JSON definition, validating every station
+     * @param {Object} config - { name, stations: [{ code, name, distance, arrival?, departure? }] }
+     * @returns {{success: boolean, message: string, route?: Route}}
+     */
+    static fromConfig(config) {
+        const fail = message => ({ success: false, message });
+        const isTime = t => t === undefined || t === null || /^([01]\d|2[0-3]):[0-5]\d$/.test(t);
+
+        if (!config || !Array.isArray(config.stations) || config.stations.length < 2) {
+            return fail('Route needs at least two stations');
+        }
+
+        const codes = new Set();
+        const stations = [];
+        for (const [i, s] of config.stations.entries()) {
+            if (!s || typeof s.code !== 'string' || !s.code.trim() ||
+                typeof s.name !== 'string' || !s.name.trim()) {
+                return fail(`Station ${i + 1} needs a code and a name`);
+            }
+            // Names end up in messages shown as HTML; markup has no place in them
+            if (/[<>]/.test(s.code + s.name)) {
+                return fail(`Station ${i + 1}: code and name cannot contain < or >`);
+            }
+            if (codes.has(s.code)) {
+                return fail(`Station code ${s.code} is used twice`);
+            }
+            const previous = stations[i - 1];
+            if (typeof s.distance !== 'number' || s.distance < 0 ||
+                (previous && s.distance <= previous.distance)) {
+                return fail(`${s.name}: distance must increase along the route`);
+            }
+            if (!isTime(s.arrival) || !isTime(s.departure)) {
+                return fail(`${s.name}: times must be HH:MM`);
+            }
+
+            codes.add(s.code);
+            stations.push({
+                code: s.code,
+                name: s.name,
+                distance: s.distance,
+                arrival: s.arrival || null,
+                departure: s.departure || null
+            });
+        }
+
+        return { success: true, message: `Route with ${stations.length} stations`, route: new Route(stations, config.name || '') };
+    }
+
+    /** @returns {number} */
+    get numStations() {
+        return this.stations.length;
+    }
+
+    /**
+     * Full station name for messages, e.g. "Surat (ST)"
+     * @param {number} i - Station index
+     * @returns {string}
+     */
+    label(i) {
+        const s = this.stations[i];
+        if (!s) return `Station ${i + 1}`;
+        return s.code ? `${s.name} (${s.code})` : s.name;
+    }
+
+    /**
+     * Short label for the journey track: the code, or the station number
+     * @param {number} i - Station index
+     * @returns {string}
+     */
+    shortLabel(i) {
+        const s = this.stations[i];
+        return s && s.code ? s.code : String(i + 1);
+    }
+
+    /**
+     * Distance between two stations
+     * @param {number} l - Start station
+     * @param {number} r - End station
+     * @returns {number}
+     */
+    distance(l, r) {
+        return this.stations[r].distance - this.stations[l].distance;
+    }
+
+    /**
+     * Position of a station along the route, from 0 (origin) to 1 (terminus)
+     * @param {number} i - Station index
+     * @returns {number}
+     */
+    position(i) {
+        return this.distance(0, i) / this.distance(0, this.numStations - 1);
+    }
+
+    /**
+     * Scheduled times of a station, e.g. "arr 17:22 · dep 17:24"
+     * @param {number} i - Station index
+     * @returns {string} Empty when the station has no times
+     */
+    schedule(i) {
+        const s = this.stations[i];
+        return [s.arrival && `arr ${s.arrival}`, s.departure && `dep ${s.departure}`]
+            .filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Route with stations added before the origin and after the terminus.
+     *
+     * A generic route just grows. Otherwise each new station needs a code,
+     * a name and its distance from the current origin (negative before
+     * it); distances are then shifted so the new origin is at 0.
+     *
+     * @param {Object[]} before - Station definitions, in route order
+     * @param {Object[]} after - Station definitions, in route order
+     * @returns {{success: boolean, message: string, route?: Route}}
+     */
+    extend(before, after) {
+        const fail = message => ({ success: false, message });
+        const numStations = this.numStations + before.length + after.length;
+        const name = s => (s && s.name) || 'New station';
+        if (this.stations.every(s => !s.code)) {
+            if ([...before, ...after].some(s => s && s.code)) {
+                return fail('This route has no station codes; add stations by number instead');
+            }
+            return { success: true, message: `Route with ${numStations} stations`, route: Route.generic(numStations) };
+        }
+
+        const terminus = this.stations[this.numStations - 1].distance;
+        const early = before.find(s => !(s && s.distance < 0));
+        if (early) {
+            return fail(`${name(early)}: a station before ${this.label(0)} needs a negative distance (km before it)`);
+        }
+        const late = after.find(s => !(s && s.distance > terminus));
+        if (late) {
+            return fail(`${name(late)}: a station after ${this.label(this.numStations - 1)} must be over ${terminus} km from ${this.label(0)}`);
+        }
+
+        const stations = [...before, ...this.stations, ...after];
+        const origin = stations[0] && typeof stations[0].distance === 'number' ? stations[0].distance : 0;
+        return Route.fromConfig({
+            name: this.name,
+            stations: stations.map(s => (s && typeof s.distance === 'number' ? { ...s, distance: s.distance - origin } : s))
+        });
+    }
+}
+
+// ========================== COACH LAYOUTS ===========================
+
+/**
+ * Seat map of a vehicle: coaches made of rows of seats and gaps.
+ *
+ * A layout definition lists coaches, each with a code, a fare class and
+ * rows. A row is a string of space-separated cells, left to right:
+ *
+ *   "W/LB M/MB A/UB _ W/SL*"
+ *
+ * "_" is a gap (the aisle). A seat is its position (W window, M middle,
+ * A aisle), optionally a berth after a slash (LB, MB, UB lower/middle/
+ * upper, SL, SU side lower/upper), and "*" if RAC passengers may share
+ * it. Seats are numbered coach by coach, row by row, left to right.
+ */
+class Layout {
+    /**
+     * @param {Array<Object>} coaches - { code, fareClass, rows: Array<Array<Object|null>> },
+     *     where a cell is null for a gap or { position, berth, rac }
+     */
+    constructor(coaches) {
+        this.coaches = coaches;
+        this.seats = [];
+
+        coaches.forEach((coach, coachIndex) => {
+            let number = 0;
+            coach.rows.forEach((row, rowIndex) => {
+                // Seats between two gaps form a block; only they sit together
+                let block = 0;
+                row.forEach((cell, column) => {
+                    if (!cell) {
+                        block++;
+                        return;
+                    }
+                    number++;
+                    this.seats.push({
+                        coach: coach.code,
+                        coachIndex,
+                        number,
+                        row: rowIndex,
+                        column,
+                        block: `${coachIndex}:${rowIndex}:${block}`,
+                        position: cell.position,
+                        berth: cell.berth || null,
+                        fareClass: coach.fareClass || null,
+                        rac: Boolean(cell.rac)
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Plain grid without coaches: rows of seatsPerRow seats with no aisle.
+     * The first and last rows are window seats and the rest aisle seats.
+     *
+     * @param {number} numSeats
+     * @param {number} seatsPerRow
+     * @returns {Layout}
+     */
+    static grid(numSeats, seatsPerRow = numSeats) {
+        const numRows = Math.ceil(numSeats / seatsPerRow);
+        const rows = [];
+        for (let row = 0; row < numRows; row++) {
+            const position = row === 0 || row === numRows - 1 ? 'window' : 'aisle';
+            const width = Math.min(seatsPerRow, numSeats - row * seatsPerRow);
+            rows.push(Array.from({ length: width }, () => ({ position, berth: null, rac: false })));
+        }
+        return new Layout([{ code: null, fareClass: null, rows }]);
+    }
+
+    /**
+     * Build a layout from a JSON definition, validating every cell
+     * @param {Object} config - { coaches: [{ code, class, rows: string[] }] }
+     * @returns {{success: boolean, message: string, layout?: Layout}}
+     */
+    static fromConfig(config) {
+        const fail = message => ({ success: false, message });
+        const positions = { W: 'window', M: 'middle', A: 'aisle' };
+        const cellPattern = /^([WMA])(?:\/(LB|MB|UB|SL|SU))?(\*)?$/;
+
+        if (!config || !Array.isArray(config.coaches) || config.coaches.length === 0) {
+            return fail('Layout needs at least one coach');
+        }
+
+        const codes = new Set();
+        const coaches = [];
+        for (const [i, c] of config.coaches.entries()) {
+            const name = c && c.code ? `Coach ${c.code}` : `Coach ${i + 1}`;
+            if (!c || typeof c.code !== 'string' || !Array.isArray(c.rows) || c.rows.length === 0) {
+                return fail(`${name} needs a code and rows`);
+            }
+            if (codes.has(c.code)) {
+                return fail(`Coach code ${c.code} is used twice`);
+            }
+            codes.add(c.code);
+
+            const rows = [];
+            for (const [r, row] of c.rows.entries()) {
+                if (typeof row !== 'string') {
+                    return fail(`${name}, row ${r + 1} must be a string`);
+                }
+                const cells = [];
+                for (const token of row.trim().split(/\s+/)) {
+                    if (token === '_') {
+                        cells.push(null);
+                        continue;
+                    }
+                    const match = cellPattern.exec(token);
+                    if (!match) {
+                        return fail(`${name}, row ${r + 1}: "${token}" is not a seat or "_"`);
+                    }
+                    cells.push({ position: positions[match[1]], berth: match[2] || null, rac: Boolean(match[3]) });
+                }
+                if (!cells.some(Boolean)) {
+                    return fail(`${name}, row ${r + 1} has no seats`);
+                }
+                rows.push(cells);
+            }
+            coaches.push({ code: c.code, fareClass: c.class || null, rows });
+        }
+
+        const layout = new Layout(coaches);
+        return { success: true, message: `Layout with ${layout.numSeats} seats`, layout };
+    }
+
+    /** @returns {number} */
+    get numSeats() {
+        return this.seats.length;
+    }
+
+    /**
+     * Widest row in cells, gaps included
+     * @returns {number}
+     */
+    get width() {
+        return Math.max(...this.coaches.flatMap(c => c.rows.map(row => row.length)));
+    }
+
+    /**
+     * Seats RAC passengers may share
+     * @returns {number[]} Seat indices
+     */
+    get racSeats() {
+        return this.seats.flatMap((seat, seatId) => (seat.rac ? [seatId] : []));
+    }
+
+    /**
+     * Seat name for messages: "B1-5" in a coach, or just the number
+     * @param {number} seatId - Seat index (0-based)
+     * @returns {string}
+     */
+    label(seatId) {
+        const seat = this.seats[seatId];
+        if (!seat) return String(seatId + 1);
+        return seat.coach ? `${seat.coach}-${seat.number}` : String(seat.number);
+    }
+
+    /**
+     * Check whether b sits directly to the right of a, with no gap between
+     * @param {number} a - Seat index
+     * @param {number} b - Seat index
+     * @returns {boolean}
+     */
+    adjacent(a, b) {
+        const sa = this.seats[a];
+        const sb = this.seats[b];
+        return Boolean(sa && sb) && sa.block === sb.block && sb.column === sa.column + 1;
+    }
+
+    /**
+     * Check a seat against preference filters; unset filters match anything
+     * @param {number} seatId - Seat index
+     * @param {Object} filters
+     * @param {string} filters.position - 'window', 'middle' or 'aisle'
+     * @param {string} filters.berth - Berth code, e.g. 'LB'
+     * @param {string} filters.coach - Coach code
+     * @param {string} filters.fareClass - Fare class code
+     * @returns {boolean}
+     */
+    matches(seatId, filters = {}) {
+        const seat = this.seats[seatId];
+        return (!filters.position || seat.position === filters.position) &&
+            (!filters.berth || seat.berth === filters.berth) &&
+            (!filters.coach || seat.coach === filters.coach) &&
+            (!filters.fareClass || seat.fareClass === filters.fareClass);
+    }
+
+    /**
+     * Copy of the layout without some seats and with seats added at the end.
+     *
+     * A plain grid is rebuilt with the new count. In coaches, the seats
+     * after a removed one close up its row (a row left empty is dropped),
+     * and added seats fill new rows at the end of the last coach, each
+     * shaped like its fullest row. Seats after a removed one move down.
+     *
+     * @param {number[]} removed - Seat indices to drop
+     * @param {number} added - Number of seats to add
+     * @returns {Layout}
+     */
+    withSeats(removed, added) {
+        const drop = new Set(removed);
+        if (this.coaches.length === 1 && this.coaches[0].code === null) {
+            return Layout.grid(this.numSeats - drop.size + added, this.width);
+        }
+
+        let seatId = 0;
+        const coaches = this.coaches.map(coach => ({
+            ...coach,
+            rows: coach.rows
+                .map(row => row.filter(cell => !cell || !drop.has(seatId++)))
+                .filter(row => row.some(Boolean))
+        })).filter(coach => coach.rows.length > 0);
+
+        const last = coaches[coaches.length - 1];
+        const seatsIn = row => row.filter(Boolean).length;
+        const template = last.rows.reduce((fullest, row) => (seatsIn(row) > seatsIn(fullest) ? row : fullest));
+        for (let left = added; left > 0; left -= seatsIn(last.rows[last.rows.length - 1])) {
+            let room = left;
+            const row = template.filter(cell => !cell || room-- > 0).map(cell => cell && { ...cell });
+            while (!row[row.length - 1]) row.pop();
+            last.rows.push(row);
+        }
+        return new Layout(coaches);
+    }
+}
+
+// ============================== FARES ===============================
+
+/**
+ * Prices journeys segment by segment.
+ *
+ * Each segment costs its distance times the rate of the seat's class.
+ * With a surcharge configured, a segment that is more than `threshold`
+ * full costs up to `maxRate` more, rising linearly until the segment is
+ * full. A journey cheaper than the minimum fare is scaled up to it.
+ *
+ * Fares keep the per-segment amounts so a partly cancelled booking can
+ * keep the price of the stretch it still covers.
+ */
+class FareCalculator {
+    /**
+     * @param {Object} config
+     * @param {Object<string, {name: string, ratePerKm: number}>} config.classes - Rates by class code;
+     *     the first class is used for seats without a known class
+     * @param {number} config.minimumFare - Lowest price of any journey
+     * @param {{threshold: number, maxRate: number}|null} config.surcharge - Load surcharge (null: off)
+     * @param {string} config.currency - Symbol shown before amounts
+     */
+    constructor(config) {
+        this.classes = config.classes;
+        this.minimumFare = config.minimumFare || 0;
+        this.surcharge = config.surcharge || null;
+        this.currency = config.currency || '';
+    }
+
+    /**
+     * Price a journey
+     * @param {Array<{distance: number, load: number}>} segments - Distance and seats booked per segment
+     * @param {number} capacity - Seats in the vehicle
+     * @param {string} fareClass - Class code of the seat
+     * @returns {{fareClass: string, segments: Array<{base: number, surcharge: number}>, total: number}}
+     */
+    quote(segments, capacity, fareClass) {
+        const code = this.classes[fareClass] ? fareClass : Object.keys(this.classes)[0];
+        const rate = this.classes[code].ratePerKm;
+
+        let priced = segments.map(({ distance, load }) => {
+            const base = distance * rate;
+            let extra = 0;
+            if (this.surcharge) {
+                const { threshold, maxRate } = this.surcharge;
+                const excess = (load / capacity - threshold) / (1 - threshold);
+                if (excess > 0) extra = base * maxRate * Math.min(1, excess);
+            }
+            return { base, surcharge: extra };
+        });
+
+        const sum = priced.reduce((total, s) => total + s.base + s.surcharge, 0);
+        if (sum > 0 && sum < this.minimumFare) {
+            const scale = this.minimumFare / sum;
+            priced = priced.map(s => ({ base: s.base * scale, surcharge: s.surcharge * scale }));
+        }
+
+        priced = priced.map(s => ({ base: FareCalculator.round(s.base), surcharge: FareCalculator.round(s.surcharge) }));
+        return { fareClass: code, segments: priced, total: FareCalculator.sum(priced) };
+    }
+
+    /**
+     * Keep the part of a fare covering some of its segments
+     * @param {Object} fare - Fare from quote()
+     * @param {number} start - First segment to keep, counted from the start of the fare
+     * @param {number} end - Segment after the last one to keep
+     * @returns {Object} New fare
+     */
+    static slice(fare, start, end) {
+        const segments = fare.segments.slice(start, end);
+        return { ...fare, segments, total: FareCalculator.sum(segments) };
+    }
+
+    /**
+     * Total of per-segment amounts
+     * @param {Array<{base: number, surcharge: number}>} segments
+     * @returns {number}
+     */
+    static sum(segments) {
+        return FareCalculator.round(segments.reduce((total, s) => total + s.base + s.surcharge, 0));
+    }
+
+    /**
+     * Round to two decimal places
+     * @param {number} amount
+     * @returns {number}
+     */
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Format an amount for display, e.g. "₹1,250.00"
+     * @param {number} amount
+     * @returns {string}
+     */
+    format(amount) {
+        return `${this.currency}${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Describe a fare for messages, with the surcharge if there is one
+     * @param {Object} fare - Fare from quote()
+     * @returns {string}
+     */
+    describe(fare) {
+        const surcharge = FareCalculator.round(fare.segments.reduce((total, s) => total + s.surcharge, 0));
+        return surcharge > 0
+            ? `${this.format(fare.total)} incl. ${this.format(surcharge)} load surcharge`
+            : this.format(fare.total);
+    }
+}
+
+// ====================== SEAT BOOKING SYSTEM =========================
+
+// How long a seat hold lasts unless hold() is given a time (5 minutes)
+const DEFAULT_HOLD_TTL = 5 * 60 * 1000;
+
+// Added to the message of a seat or station change that dropped the journal
+const HISTORY_CLEARED = '; undo history cleared, as it refers to the old seat and station numbers';
+
+/**
+ * Main booking system managing N seats across M stations.
+ * Each seat has its own segment tree for O(log M) operations.
+ */
+class SeatBookingSystem {
+    /**
+     * Initialize booking system
+     * @param {number} numSeats - Number of seats (N)
+     * @param {number} numStations - Number of stations (M)
+     * @param {Object} options
+     * @param {Layout} options.layout - Seat map with positions, berths and classes
+     * @param {number} options.seatsPerRow - Row width of the plain grid used without a layout
+     * @param {number[]} options.racSeats - Seats two RAC passengers may share (default: the
+     *     layout's RAC seats; empty: RAC off)
+     * @param {Route} options.route - Station names and distances (default: "Station N")
+     * @param {FareCalculator} options.fares - Prices bookings (default: none, bookings are free)
+     */
+    constructor(numSeats, numStations, options = {}) {
+        this.numSeats = numSeats;
+        this.numStations = numStations;
+        this.numSegments = numStations - 1; // Journey segments
+        this.layout = options.layout || Layout.grid(numSeats, options.seatsPerRow || numSeats);
+        this.racSeats = options.racSeats || this.layout.racSeats;
+        this.route = options.route || Route.generic(numStations);
+        this.fares = options.fares || null;
+
+        // Create a segment tree for each seat (for individual seat availability)
+        this.seats = [];
+        for (let i = 0; i < numSeats; i++) {
+            this.seats.push(new SegmentTree(this.numSegments));
+        }
+
+        // Free runs of every seat, for counting or finding free seats quickly
+        this.freeIndex = new FreeSeatIndex(numSeats, this.numSegments);
+
+        // Global segment tree tracking COUNT of seats booked per segment
+        // This shows how many seats are booked for each segment
+        this.globalTree = new SegmentTree(this.numSegments);
+
+        // Track all bookings for display and management
+        this.bookings = [];
+        this.operationCount = 0;
+
+        // Requests waiting for a seat (WL) or sharing an RAC seat (RAC)
+        this.waitlist = [];
+
+        // Seats blocked during checkout; not bookings, so never journaled or saved
+        this.holds = [];
+        this.nextHoldId = 1;
+
+        // Every successful book/cancel/modify, for undo/redo and replay
+        this.journal = new OperationJournal();
+        this.activeOperation = null;
+    }
+
+    /**
+     * Create an empty system with the same seats, stations and options
+     * @returns {SeatBookingSystem}
+     */
+    createEmpty() {
+        return new SeatBookingSystem(this.numSeats, this.numStations, {
+            layout: this.layout,
+            racSeats: this.racSeats,
+            route: this.route,
+            fares: this.fares
+        });
+    }
+
+    /**
+     * Build a copy of this system with seats added or removed, or stations
+     * added at either end of the route, keeping every booking.
+     *
+     * Bookings, waitlist entries and holds are re-indexed into fresh trees:
+     * seats after a removed one move down (see Layout.withSeats) and
+     * stations move up by the number added before the origin. Only a seat
+     * with no active booking and no hold can be removed, so no booking
+     * loses its seat. Cancelled records on a removed seat stay in the
+     * history with seatId null (see seatLabel). The journal starts
+     * afresh, as its events name the old seat and station numbers and
+     * could not be replayed on the new layout; the message says so when
+     * there was anything to undo or redo.
+     *
+     * @param {Object} changes
+     * @param {number} changes.addSeats - Seats to add at the end
+     * @param {number[]} changes.removeSeats - Seat indices to remove
+     * @param {Object[]} changes.stationsBefore - Stations to add before the origin (see Route.extend)
+     * @param {Object[]} changes.stationsAfter - Stations to add after the terminus
+     * @returns {{success: boolean, message: string, summary?: string, system?: SeatBookingSystem,
+     *     promotions?: string[], historyCleared?: boolean, reason?: string}} A new system, the
+     *     changes made, the waitlist moves from processWaitlist() and whether undo history was
+     *     dropped; this one is left as it was. On failure, reason is 'invalid', or 'conflict' if
+     *     a seat to remove is in use
+     */
+    resized(changes = {}) {
+        const fail = (reason, message) => ({ success: false, reason, message });
+        const { addSeats = 0, removeSeats = [], stationsBefore = [], stationsAfter = [] } = changes;
+
+        if (!Number.isInteger(addSeats) || addSeats < 0) {
+            return fail('invalid', `Invalid number of seats to add: ${addSeats}`);
+        }
+        if (![removeSeats, stationsBefore, stationsAfter].every(Array.isArray)) {
+            return fail('invalid', 'Seats to remove and stations to add must be lists');
+        }
+        const badSeat = removeSeats.find(id => !Number.isInteger(id) || id < 0 || id >= this.numSeats);
+        if (badSeat !== undefined) {
+            return fail('invalid', `Invalid seat ID: ${badSeat}`);
+        }
+        if (new Set(removeSeats).size !== removeSeats.length) {
+            return fail('invalid', 'A seat to remove is listed twice');
+        }
+        if (addSeats === 0 && removeSeats.length === 0 && stationsBefore.length === 0 && stationsAfter.length === 0) {
+            return fail('invalid', 'Nothing to change');
+        }
+        if (this.numSeats - removeSeats.length + addSeats < 1) {
+            return fail('invalid', 'At least one seat must remain');
+        }
+
+        for (const seatId of removeSeats) {
+            const label = this.seatLabel(seatId);
+            const active = this.bookings.find(b => b.seatId === seatId && b.active);
+            if (active) {
+                return fail('conflict', `Seat ${label} is booked ${this.journeyText(active.from, active.to)} (PNR ${active.pnr}); cancel or move that booking first`);
+            }
+            const hold = this.holds.find(h => h.seatId === seatId);
+            if (hold) {
+                return fail('conflict', `Seat ${label} is on hold ${this.journeyText(hold.from, hold.to)}; confirm or release the hold first`);
+            }
+        }
+
+        const extended = this.route.extend(stationsBefore, stationsAfter);
+        if (!extended.success) {
+            return fail('invalid', extended.message);
+        }
+        const layout = this.layout.withSeats(removeSeats, addSeats);
+
+        // New index of every kept seat (null if removed); stations only shift
+        const removed = new Set(removeSeats);
+        let next = 0;
+        const seatMap = Array.from({ length: this.numSeats }, (_, seatId) => (removed.has(seatId) ? null : next++));
+        const shift = stationsBefore.length;
+        const move = item => ({
+            ...item,
+            from: item.from + shift,
+            to: item.to + shift,
+            seatId: typeof item.seatId === 'number' ? seatMap[item.seatId] : item.seatId
+        });
+
+        const racSeats = [
+            ...this.racSeats.filter(seatId => !removed.has(seatId)).map(seatId => seatMap[seatId]),
+            ...layout.racSeats.filter(seatId => seatId >= next)
+        ];
+        const snapshot = this.toSnapshot();
+        const result = SeatBookingSystem.fromSnapshot({
+            ...snapshot,
+            numSeats: layout.numSeats,
+            numStations: extended.route.numStations,
+            racSeats,
+            bookings: snapshot.bookings.map(move),
+            waitlist: snapshot.waitlist.map(move),
+            journal: null,
+            segmentLoads: null
+        }, { layout, route: extended.route, fares: this.fares });
+        if (!result.success) {
+            return fail('invalid', result.message);
+        }
+
+        const system = result.system;
+        system.restoreHolds(this.holds.map(move));
+        system.nextHoldId = this.nextHoldId;
+        const kept = system.getActiveBookings();
+        // Added seats may take queued requests
+        const promotions = system.processWaitlist();
+
+        const parts = [];
+        if (addSeats > 0) parts.push(`added ${addSeats} seat(s)`);
+        if (removeSeats.length > 0) parts.push(`removed seat(s) ${removeSeats.map(id => this.seatLabel(id)).join(', ')}`);
+        if (stationsBefore.length > 0) parts.push(`added ${stationsBefore.length} station(s) before ${this.route.label(0)}`);
+        if (stationsAfter.length > 0) parts.push(`added ${stationsAfter.length} station(s) after ${this.route.label(this.numStations - 1)}`);
+        const summary = parts.join(', ').replace(/^./, c => c.toUpperCase());
+        const historyCleared = this.journal.events.length > 0;
+        return {
+            success: true,
+            message: `${summary}: now ${system.numSeats} seats and ${system.numStations} stations, ${kept} active booking(s) kept` +
+                (historyCleared ? HISTORY_CLEARED : ''),
+            summary,
+            system,
+            promotions,
+            historyCleared
+        };
+    }
+
+    /**
+     * Describe a journey for messages, e.g. "from Surat (ST) to Vadodara (BRC)"
+     * @param {number} l - Start station
+     * @param {number} r - End station
+     * @returns {string}
+     */
+    journeyText(l, r) {
+        return `from ${this.route.label(l)} to ${this.route.label(r)}`;
+    }
+
+    /**
+     * Seat name for messages, e.g. "B1-5" (see Layout.label)
+     * @param {number|null} seatId - Seat index (0-based), or null on a
+     *     cancelled record whose seat was removed (see resized)
+     * @returns {string}
+     */
+    seatLabel(seatId) {
+        return seatId === null ? 'removed' : this.layout.label(seatId);
+    }
+
+    /**
+     * Resolve a seat reference typed by a user
+     * @param {string|number} ref - 1-based seat number, or a layout label such as "B1-5"
+     * @returns {number} Seat index (0-based), or -1 if there is no such seat
+     */
+    seatIndex(ref) {
+        const byLabel = this.layout.seats.findIndex((seat, i) => this.seatLabel(i) === String(ref));
+        if (byLabel !== -1) return byLabel;
+
+        const n = Number(ref);
+        return Number.isInteger(n) && n >= 1 && n <= this.numSeats ? n - 1 : -1;
+    }
+
+    /**
+     * Resolve a station reference typed by a user
+     * @param {string|number} ref - 1-based station number, or a station code such as "BRC"
+     * @returns {number} Station index (0-based), or -1 if there is no such station
+     */
+    stationIndex(ref) {
+        const code = String(ref).toLowerCase();
+        const byCode = this.route.stations.findIndex(s => s.code && s.code.toLowerCase() === code);
+        if (byCode !== -1) return byCode;
+
+        const n = Number(ref);
+        return Number.isInteger(n) && n >= 1 && n <= this.numStations ? n - 1 : -1;
+    }
+
+    /**
+     * Change a seat's occupancy on [l, r) and keep the free seat index in step
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {number} delta - +1 to occupy, -1 to release
+     */
+    updateSeat(seatId, l, r, delta) {
+        this.seats[seatId].update(l, r, delta);
+        this.freeIndex.refresh(seatId, this.seats[seatId], l, r);
+    }
+
+    /**
+     * Get the fare class of a seat from its coach
+     * @param {number} seatId - Seat index (0-based)
+     * @returns {string|null} Class code, or null if the coach has none
+     */
+    seatClass(seatId) {
+        return this.layout.seats[seatId].fareClass;
+    }
+
+    /**
+     * Price a journey on a seat at the current segment loads
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {Object|null} Fare from FareCalculator.quote(), or null without fares
+     */
+    quoteFare(seatId, l, r) {
+        if (!this.fares) return null;
+
+        const segments = [];
+        for (let i = l; i < r; i++) {
+            segments.push({ distance: this.route.distance(i, i + 1), load: this.globalTree.query(i, i + 1) });
+        }
+        return this.fares.quote(segments, this.numSeats, this.seatClass(seatId));
+    }
+
+    /**
+     * Fare suffix for messages, e.g. ", fare ₹450.00"
+     * @param {Object|null} fare
+     * @returns {string} Empty without a fare
+     */
+    fareText(fare) {
+        return fare && this.fares ? `, fare ${this.fares.describe(fare)}` : '';
+    }
+
+    /**
+     * Refund suffix for cancellation messages, e.g. ", refund ₹120.00"
+     * @param {Object|null} fare - The cancelled part of the fare
+     * @returns {string} Empty without a fare
+     */
+    refundText(fare) {
+        return fare && this.fares ? `, refund ${this.fares.format(fare.total)}` : '';
+    }
+
+    /**
+     * Total fare of all active bookings
+     * @returns {number}
+     */
+    getRevenue() {
+        const total = this.bookings
+            .filter(b => b.active && b.fare)
+            .reduce((sum, b) => sum + b.fare.total, 0);
+        return FareCalculator.round(total);
+    }
+
+    /**
+     * Short form of a journey using station codes, e.g. "ST-BRC"
+     * @param {number} l - Start station
+     * @param {number} r - End station
+     * @returns {string}
+     */
+    stretchText(l, r) {
+        return `${this.route.shortLabel(l)}-${this.route.shortLabel(r)}`;
+    }
+
+    /**
+     * Run a state-changing operation and record it in the journal.
+     *
+     * Only the outermost operation is recorded: a book() made by
+     * autoAssign() or a cancel made by cancelByPnr() is part of the
+     * caller's event. PNRs and timestamps issued while the operation runs
+     * are stored on the event so a replay reproduces them exactly, and so
+     * are the seats it picked (see chooseSeats).
+     *
+     * @param {string} type - Method name, used to replay the event
+     * @param {Array} args - Method arguments
+     * @param {Function} operation - Does the work, returns {success, ...}
+     * @returns {Object} The operation's result
+     */
+    journaled(type, args, operation) {
+        if (this.activeOperation) return operation();
+
+        const event = {
+            type,
+            args: JSON.parse(JSON.stringify(args)),
+            at: new Date().toISOString(),
+            pnrs: [],
+            choices: []
+        };
+
+        this.activeOperation = event;
+        let result;
+        try {
+            result = operation();
+        } finally {
+            this.activeOperation = null;
+        }
+
+        if (result.success) this.journal.record(event);
+        return result;
+    }
+
+    /**
+     * Current time, fixed to the event time while an operation runs
+     * @returns {Date}
+     */
+    now() {
+        return this.activeOperation ? new Date(this.activeOperation.at) : new Date();
+    }
+
+    /**
+     * Apply a journal event to this system, reusing its PNRs and time
+     * @param {Object} event - Event recorded by journaled()
+     * @returns {Object} The operation's result
+     */
+    applyEvent(event) {
+        this.activeOperation = {
+            ...event,
+            replayPnrs: [...event.pnrs],
+            // Events saved before seat picks were recorded pick again
+            replayChoices: Array.isArray(event.choices) ? [...event.choices] : null
+        };
+        try {
+            return this[event.type](...JSON.parse(JSON.stringify(event.args)));
+        } finally {
+            this.activeOperation = null;
+        }
+    }
+
+    /**
+     * Rebuild the system as it was after the first `point` events, or
+     * after the last applied event recorded at or before a given time.
+     *
+     * @param {number|Date} point - Number of events to replay (past the cursor,
+     *     undone events are replayed too, as for redo), or a time
+     * @returns {SeatBookingSystem} A new system; this one is not changed
+     */
+    stateAt(point) {
+        const events = this.journal.events;
+        const count = point instanceof Date
+            ? events.slice(0, this.journal.cursor).filter(e => new Date(e.at) <= point).length
+            : Math.max(0, Math.min(point, events.length));
+
+        const system = this.createEmpty();
+        events.slice(0, count).forEach(event => {
+            system.applyEvent(event);
+            system.journal.record(event);
+        });
+        return system;
+    }
+
+    /**
+     * Take over the bookings and trees of another system, keeping this
+     * system's holds on the new trees
+     * @param {SeatBookingSystem} other - System built by stateAt()
+     * @returns {Object[]} Holds dropped because their range is now booked
+     */
+    adoptState(other) {
+        this.seats = other.seats;
+        this.freeIndex = other.freeIndex;
+        this.globalTree = other.globalTree;
+        this.bookings = other.bookings;
+        this.waitlist = other.waitlist;
+        return this.restoreHolds(this.holds);
+    }
+
+    /**
+     * Undo the last operation by replaying the journal up to it
+     * @returns {{success: boolean, message: string}}
+     */
+    undo() {
+        if (!this.journal.canUndo()) {
+            return { success: false, message: 'Nothing to undo' };
+        }
+
+        const event = this.journal.events[this.journal.cursor - 1];
+        const dropped = this.adoptState(this.stateAt(this.journal.cursor - 1));
+        this.journal.cursor--;
+
+        const released = dropped.map(h => `hold ${h.id} on seat ${this.seatLabel(h.seatId)} released`);
+        return { success: true, message: [`Undid ${describeEvent(event, this)}`, ...released].join('; ') };
+    }
+
+    /**
+     * Redo the next undone operation by replaying the journal up to it.
+     * Refused if it would book a seat that is now on hold.
+     * @returns {{success: boolean, message: string}}
+     */
+    redo() {
+        if (!this.journal.canRedo()) {
+            return { success: false, message: 'Nothing to redo' };
+        }
+
+        const event = this.journal.events[this.journal.cursor];
+        const next = this.stateAt(this.journal.cursor + 1);
+        const held = this.holds.find(h => next.seats[h.seatId].query(h.from, h.to) > 0);
+        if (held) {
+            return {
+                success: false,
+                message: `Could not redo ${describeEvent(event, this)}: seat ${this.seatLabel(held.seatId)} is on hold ` +
+                    `${this.journeyText(held.from, held.to)} (hold ${held.id})`
+            };
+        }
+        this.adoptState(next);
+        this.journal.cursor++;
+
+        return { success: true, message: `Redid ${describeEvent(event, this)}` };
+    }
+
+    /**
+     * Book a seat for journey from station l to station r
+     * 
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} passenger - Optional {name, age, contact}
+     * @returns {{success: boolean, message: string, bookingId?: number, pnr?: string, reason?: string}}
+     *     On failure, reason is 'invalid' (bad seat, range or passenger) or
+     *     'conflict' (the seat is taken)
+     */
+    book(seatId, l, r, passenger = null) {
+        this.expireHolds();
+        return this.journaled('book', [seatId, l, r, passenger], () => {
+            this.operationCount++;
+
+            // Validate inputs
+            if (!Number.isInteger(seatId) || seatId < 0 || seatId >= this.numSeats) {
+                return { success: false, reason: 'invalid', message: `Invalid seat ID: ${seatId}` };
+            }
+            if (l < 0 || r > this.numSegments || l >= r) {
+                return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})` };
+            }
+            const passengerError = validatePassenger(passenger);
+            if (passengerError) {
+                return { success: false, reason: 'invalid', message: passengerError };
+            }
+
+            // Check availability - if max occupancy > 0, seat is taken
+            const maxOccupancy = this.seats[seatId].query(l, r);
+
+            if (maxOccupancy > 0) {
+                return {
+                    success: false,
+                    reason: 'conflict',
+                    message: `Seat ${this.seatLabel(seatId)} already booked for ${this.conflictText(seatId, l, r)}`
+                };
+            }
+
+            const booking = this.addBooking(seatId, l, r, {
+                pnr: this.generatePnr(),
+                passenger: normalizePassenger(passenger)
+            });
+
+            return {
+                success: true,
+                message: `Seat ${this.seatLabel(seatId)} booked ${this.journeyText(l, r)}, PNR ${booking.pnr}${this.fareText(booking.fare)}`,
+                bookingId: booking.id,
+                pnr: booking.pnr,
+                fare: booking.fare
+            };
+        });
+    }
+
+    /**
+     * List the bookings and holds on a seat that overlap [l, r)
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} except - Booking to leave out, e.g. one being moved
+     * @returns {string} e.g. "ST-BRC, BRC-ADI (on hold)"
+     */
+    conflictText(seatId, l, r, except = null) {
+        const conflicts = this.bookings.filter(
+            b => b.seatId === seatId && b.active && b !== except && b.from < r && b.to > l
+        ).map(b => this.stretchText(b.from, b.to));
+        this.holds.filter(h => h.seatId === seatId && h.from < r && h.to > l)
+            .forEach(h => conflicts.push(`${this.stretchText(h.from, h.to)} (on hold)`));
+        return conflicts.join(', ');
+    }
+
+    /**
+     * Occupy the seat and record a booking, without any checks.
+     * Callers must have validated the range and the seat's availability.
+     * The fare is quoted at the segment loads before this booking.
+     *
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} fields - pnr, passenger and optionally status ('CNF' or 'RAC')
+     * @returns {Object} The new booking
+     */
+    addBooking(seatId, l, r, fields) {
+        const fare = this.quoteFare(seatId, l, r);
+
+        // Book the seat - increment occupancy in range
+        this.updateSeat(seatId, l, r, 1);
+
+        // Update global count of seats booked per segment
+        this.globalTree.update(l, r, 1);
+
+        // Track booking
+        const booking = {
+            id: this.bookings.length + 1,
+            pnr: fields.pnr,
+            seatId,
+            from: l,
+            to: r,
+            active: true,
+            timestamp: this.now(),
+            passenger: fields.passenger || null,
+            status: fields.status || 'CNF',
+            fare
+        };
+        this.bookings.push(booking);
+        return booking;
+    }
+
+    /**
+     * Pick seats for the running operation, or reuse the pick it made
+     * when it first ran if it is being replayed.
+     *
+     * Holds block seats but are not journaled, so undo and redo replay
+     * onto trees without them. Picking again there could put a passenger
+     * on a seat a hold kept them off, then drop the hold.
+     *
+     * @param {Function} pick - Returns the seats chosen, as plain JSON data
+     * @returns {*} The pick
+     */
+    chooseSeats(pick) {
+        const operation = this.activeOperation;
+        if (operation && operation.replayChoices) {
+            return operation.replayChoices.length > 0 ? operation.replayChoices.shift() : pick();
+        }
+
+        const choice = pick();
+        if (operation && !operation.replayPnrs) operation.choices.push(choice);
+        return choice;
+    }
+
+    /**
+     * Generate a unique 10-digit PNR booking reference
+     * @returns {string}
+     */
+    generatePnr() {
+        const operation = this.activeOperation;
+        if (operation && operation.replayPnrs) {
+            return operation.replayPnrs.shift();
+        }
+
+        const used = this.usedPnrs();
+        let pnr;
+        do {
+            pnr = String(Math.floor(1e9 + Math.random() * 9e9));
+        } while (used.has(pnr));
+
+        if (operation) operation.pnrs.push(pnr);
+        return pnr;
+    }
+
+    /**
+     * PNRs of all bookings and waitlist entries. Both lists only grow, so
+     * the set is extended with new entries and rebuilt only when the lists
+     * are replaced (undo, redo, time travel).
+     * @returns {Set<string>}
+     */
+    usedPnrs() {
+        let cache = this.pnrCache;
+        if (!cache || cache.bookings !== this.bookings || cache.waitlist !== this.waitlist) {
+            cache = this.pnrCache = { bookings: this.bookings, waitlist: this.waitlist, seen: [0, 0], set: new Set() };
+        }
+        [this.bookings, this.waitlist].forEach((list, i) => {
+            for (; cache.seen[i] < list.length; cache.seen[i]++) cache.set.add(list[cache.seen[i]].pnr);
+        });
+        return cache.set;
+    }
+
+    /**
+     * Book several seats for the same journey, all or nothing.
+     *
+     * Seats are given either as a list of seat IDs or as a passenger
+     * count, in which case free seats are picked automatically. Each seat
+     * tree is updated in turn; if any seat turns out to be taken, the
+     * updates already applied are rolled back and nothing is booked.
+     *
+     * @param {number[]|number} seats - Seat indices (0-based) or passenger count
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} options
+     * @param {boolean} options.preferAdjacent - Pick seats next to each other when given a count
+     * @param {Object[]} options.passengers - Optional passenger details, one per seat
+     * @returns {{success: boolean, message: string, seatIds?: number[], bookingIds?: number[], pnrs?: string[],
+     *     groupId?: number, reason?: string}} On failure, reason is 'invalid' (bad range, seats,
+     *     count or passenger) or 'conflict' (a seat is taken, or too few are free)
+     */
+    bookGroup(seats, l, r, options = {}) {
+        this.expireHolds();
+        return this.journaled('bookGroup', [seats, l, r, options], () => {
+            this.operationCount++;
+
+            if (l < 0 || r > this.numSegments || l >= r) {
+                return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})` };
+            }
+
+            let seatIds;
+            if (Array.isArray(seats)) {
+                seatIds = seats;
+                const invalid = seatIds.find(id => !Number.isInteger(id) || id < 0 || id >= this.numSeats);
+                if (invalid !== undefined) {
+                    return { success: false, reason: 'invalid', message: `Invalid seat ID: ${invalid}` };
+                }
+                if (new Set(seatIds).size !== seatIds.length) {
+                    return { success: false, reason: 'invalid', message: 'The same seat was selected twice' };
+                }
+            } else {
+                if (!Number.isInteger(seats) || seats < 1) {
+                    return { success: false, reason: 'invalid', message: `Invalid number of passengers: ${seats}` };
+                }
+                seatIds = this.chooseSeats(() => this.findGroupSeats(seats, l, r, options.preferAdjacent));
+                if (!seatIds) {
+                    return {
+                        success: false,
+                        reason: 'conflict',
+                        message: `Not enough seats for ${seats} passenger(s) ${this.journeyText(l, r)}`
+                    };
+                }
+            }
+
+            if (seatIds.length === 0) {
+                return { success: false, reason: 'invalid', message: 'No seats given for group booking' };
+            }
+
+            const passengers = options.passengers || [];
+            const passengerError = passengers.map(validatePassenger).find(Boolean);
+            if (passengerError) {
+                return { success: false, reason: 'invalid', message: passengerError };
+            }
+
+            // Price every seat at the loads before the group is added
+            const fares = seatIds.map(seatId => this.quoteFare(seatId, l, r));
+
+            // Apply seat by seat, rolling back on the first conflict
+            const applied = [];
+            for (const seatId of seatIds) {
+                if (this.seats[seatId].query(l, r) > 0) {
+                    applied.forEach(id => {
+                        this.updateSeat(id, l, r, -1);
+                        this.globalTree.update(l, r, -1);
+                    });
+                    return {
+                        success: false,
+                        reason: 'conflict',
+                        message: `Seat ${this.seatLabel(seatId)} is not free ${this.journeyText(l, r)}; no seats were booked`
+                    };
+                }
+                this.updateSeat(seatId, l, r, 1);
+                this.globalTree.update(l, r, 1);
+                applied.push(seatId);
+            }
+
+            // All seats held - record the bookings under one group
+            const groupId = this.bookings.length + 1;
+            const timestamp = this.now();
+            const created = seatIds.map((seatId, i) => {
+                const booking = {
+                    id: this.bookings.length + 1,
+                    pnr: this.generatePnr(),
+                    seatId,
+                    from: l,
+                    to: r,
+                    active: true,
+                    timestamp,
+                    passenger: normalizePassenger(passengers[i]),
+                    status: 'CNF',
+                    fare: fares[i],
+                    groupId
+                };
+                this.bookings.push(booking);
+                return booking;
+            });
+
+            const seatList = seatIds.map(id => this.seatLabel(id)).join(', ');
+            const pnrs = created.map(b => b.pnr);
+            const total = this.fares
+                ? `, fare ${this.fares.format(FareCalculator.round(fares.reduce((sum, f) => sum + f.total, 0)))}`
+                : '';
+            return {
+                success: true,
+                message: `Seats ${seatList} booked ${this.journeyText(l, r)}, PNR ${pnrs.join(', ')}${total}`,
+                seatIds,
+                bookingIds: created.map(b => b.id),
+                pnrs,
+                groupId
+            };
+        });
+    }
+
+    /**
+     * Pick free seats for a group of passengers.
+     *
+     * With preferAdjacent, the first run of free seats side by side in
+     * one row of the layout (not across the aisle) is used; failing that,
+     * the free seats closest together by seat number. Otherwise the lowest
+     * numbered free seats are used. RAC seats are left for the RAC quota,
+     * as in bookOrWaitlist().
+     *
+     * @param {number} count - Number of passengers
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {boolean} preferAdjacent - Keep the group together
+     * @returns {number[]|null} Seat indices, or null if not enough are free
+     */
+    findGroupSeats(count, l, r, preferAdjacent = false) {
+        if (!Number.isInteger(count) || count < 1) return null;
+
+        const free = this.getRegularFreeSeats(l, r);
+        if (free.length < count) return null;
+        if (!preferAdjacent) return free.slice(0, count);
+
+        // Free seats side by side within a single row
+        let run = [];
+        for (const seatId of free) {
+            const continues = run.length > 0 && this.layout.adjacent(run[run.length - 1], seatId);
+            run = continues ? [...run, seatId] : [seatId];
+            if (run.length === count) return run;
+        }
+
+        // Otherwise the tightest window of free seats
+        let best = 0;
+        for (let i = 1; i + count <= free.length; i++) {
+            if (free[i + count - 1] - free[i] < free[best + count - 1] - free[best]) best = i;
+        }
+        return free.slice(best, best + count);
+    }
+
+    /**
+     * Plan a journey that no single seat covers, changing seats on the way.
+     *
+     * From the start station, the free seat that reaches furthest is taken
+     * and the next leg starts where it runs out. Going as far as possible
+     * on every leg gives the fewest seat changes; only a segment with no
+     * free seat at all makes the journey impossible. A seat free for the
+     * whole journey gives a plan with a single leg. RAC seats are left for
+     * the RAC quota, as in bookOrWaitlist().
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} filters - Layout filters, as for queryAvailable()
+     * @returns {{success: boolean, message: string, legs: {seatId: number, from: number, to: number}[],
+     *     changes: number[], reason?: string}} changes lists the stations where the passenger
+     *     changes seat. On failure, reason is 'invalid' or 'conflict' (a segment is full)
+     */
+    planSplitJourney(l, r, filters = {}) {
+        this.expireHolds();
+        this.operationCount++;
+
+        if (l < 0 || r > this.numSegments || l >= r) {
+            return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})`, legs: [], changes: [] };
+        }
+
+        const rac = new Set(this.racSeats);
+        const legs = [];
+        for (let from = l; from < r;) {
+            let best = null;
+            for (let seatId = 0; seatId < this.numSeats; seatId++) {
+                if (rac.has(seatId) || !this.layout.matches(seatId, filters)) continue;
+                const gap = this.freeIndex.gapAt(seatId, from);
+                if (gap && (!best || gap[1] > best.to)) best = { seatId, from, to: Math.min(gap[1], r) };
+            }
+            if (!best) {
+                return {
+                    success: false,
+                    reason: 'conflict',
+                    message: `No seat is free ${this.journeyText(from, from + 1)}, so the journey cannot be split`,
+                    legs: [],
+                    changes: []
+                };
+            }
+            legs.push(best);
+            from = best.to;
+        }
+
+        const changes = legs.slice(1).map(leg => leg.from);
+        const seats = legs.map(leg => this.seatLabel(leg.seatId)).join(' → ');
+        return {
+            success: true,
+            message: changes.length === 0
+                ? `Seat ${seats} is free ${this.journeyText(l, r)}`
+                : `Seats ${seats} ${this.journeyText(l, r)}, changing at ${changes.map(s => this.route.label(s)).join(', ')}`,
+            legs,
+            changes
+        };
+    }
+
+    /**
+     * Book the legs of a split journey under one PNR, all or nothing.
+     *
+     * Legs must follow on from each other, each starting where the last
+     * one ends, as planSplitJourney() returns them. Every leg is checked
+     * before any is booked. The bookings share the PNR and a chainId (the
+     * first leg's booking ID), so finding or cancelling the PNR covers the
+     * whole journey.
+     *
+     * @param {{seatId: number, from: number, to: number}[]} legs
+     * @param {Object} passenger - Optional {name, age, contact}
+     * @returns {{success: boolean, message: string, pnr?: string, bookingIds?: number[], chainId?: number, reason?: string}}
+     *     On failure, reason is 'invalid' or 'conflict' (a leg is taken)
+     */
+    bookSplitJourney(legs, passenger = null) {
+        this.expireHolds();
+        return this.journaled('bookSplitJourney', [legs, passenger], () => {
+            this.operationCount++;
+            const fail = (reason, message) => ({ success: false, reason, message });
+
+            if (!Array.isArray(legs) || legs.length === 0) {
+                return fail('invalid', 'No legs given for split journey');
+            }
+            for (const [i, leg] of legs.entries()) {
+                const { seatId, from, to } = leg || {};
+                if (!Number.isInteger(seatId) || seatId < 0 || seatId >= this.numSeats) {
+                    return fail('invalid', `Invalid seat ID: ${seatId}`);
+                }
+                if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > this.numSegments || from >= to) {
+                    return fail('invalid', `Invalid station range: [${from}, ${to})`);
+                }
+                if (i > 0 && from !== legs[i - 1].to) {
+                    return fail('invalid', `Leg ${i + 1} must start where leg ${i} ends, at ${this.route.label(legs[i - 1].to)}`);
+                }
+            }
+
+            const passengerError = validatePassenger(passenger);
+            if (passengerError) {
+                return fail('invalid', passengerError);
+            }
+
+            const taken = legs.find(leg => this.seats[leg.seatId].query(leg.from, leg.to) > 0);
+            if (taken) {
+                return fail('conflict', `Seat ${this.seatLabel(taken.seatId)} already booked for ` +
+                    `${this.conflictText(taken.seatId, taken.from, taken.to)}; no legs were booked`);
+            }
+
+            // Legs never share a segment, so booking one cannot affect another
+            const pnr = this.generatePnr();
+            const details = normalizePassenger(passenger);
+            const created = legs.map(leg => this.addBooking(leg.seatId, leg.from, leg.to, { pnr, passenger: details }));
+            const chainId = created[0].id;
+            created.forEach(b => { b.chainId = chainId; });
+
+            const l = legs[0].from;
+            const r = legs[legs.length - 1].to;
+            const seatList = created.map(b => `${this.seatLabel(b.seatId)} (${this.stretchText(b.from, b.to)})`).join(', ');
+            const total = this.fares
+                ? `, fare ${this.fares.format(FareCalculator.round(created.reduce((sum, b) => sum + b.fare.total, 0)))}`
+                : '';
+            return {
+                success: true,
+                message: `Split journey booked ${this.journeyText(l, r)} on seats ${seatList}, PNR ${pnr}${total}`,
+                pnr,
+                bookingIds: created.map(b => b.id),
+                chainId
+            };
+        });
+    }
+
+    /**
+     * Pick a free seat with an allocation strategy and book it. RAC seats
+     * are left for the RAC quota, as in bookOrWaitlist().
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {string|Function} strategy - Name in ALLOCATION_STRATEGIES, or a
+     *     function (system, candidates, l, r) => seatId
+     * @param {Object} passenger - Optional {name, age, contact}
+     * @returns {{success: boolean, message: string, seatId?: number, bookingId?: number, pnr?: string}}
+     */
+    autoAssign(l, r, strategy = 'best-fit', passenger = null) {
+        this.expireHolds();
+        if (l < 0 || r > this.numSegments || l >= r) {
+            this.operationCount++;
+            return { success: false, message: `Invalid station range: [${l}, ${r})` };
+        }
+
+        const pick = typeof strategy === 'function' ? strategy : ALLOCATION_STRATEGIES[strategy];
+        if (!pick) {
+            this.operationCount++;
+            return { success: false, message: `Unknown allocation strategy: ${strategy}` };
+        }
+
+        const candidates = this.getRegularFreeSeats(l, r);
+        if (candidates.length === 0) {
+            this.operationCount++;
+            return { success: false, message: `No seats available ${this.journeyText(l, r)}` };
+        }
+
+        const seatId = pick(this, candidates, l, r);
+        if (!candidates.includes(seatId)) {
+            this.operationCount++;
+            return { success: false, message: 'Allocation strategy did not pick a free seat' };
+        }
+
+        return { ...this.book(seatId, l, r, passenger), seatId };
+    }
+
+    /**
+     * Get the seats that are completely free for [l, r), from the free
+     * seat index
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number[]} Seat indices in ascending order
+     */
+    getFreeSeats(l, r) {
+        this.expireHolds();
+        return this.freeIndex.listFree(l, r);
+    }
+
+    /**
+     * Find the maximal run of free segments around [l, r) on a seat.
+     * Assumes [l, r) itself is free.
+     *
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {{start: number, end: number}} Free run as a station range
+     */
+    getFreeGap(seatId, l, r) {
+        const [start, end] = this.freeIndex.gapAt(seatId, l);
+        return { start, end };
+    }
+
+    /**
+     * Get where a seat sits, from the layout
+     * @param {number} seatId - Seat index (0-based)
+     * @returns {string} 'window', 'middle' or 'aisle'
+     */
+    getSeatPosition(seatId) {
+        return this.layout.seats[seatId].position;
+    }
+
+    /**
+     * Cancel a booking for a seat in the given range
+     * 
+     * The range may be any part of an active booking. Cancelling the head
+     * or tail shortens the booking, and cancelling the middle splits it in
+     * two. The original booking is then marked inactive with replacedBy
+     * pointing at the new booking(s), which carry its ID as parentId.
+     *
+     * On a shared RAC seat two bookings can cover the range; rather than
+     * guess which passenger is leaving, the cancel is refused and the
+     * caller is pointed at cancelByPnr().
+     *
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {{success: boolean, message: string, replacedBy?: number[], reason?: string}}
+     *     On failure, reason is 'invalid' (bad seat or range), 'not-found'
+     *     (no active booking covers the range) or 'conflict' (more than one does)
+     */
+    cancel(seatId, l, r) {
+        this.expireHolds();
+        return this.journaled('cancel', [seatId, l, r], () => {
+            this.operationCount++;
+
+            // Validate inputs
+            if (!Number.isInteger(seatId) || seatId < 0 || seatId >= this.numSeats) {
+                return { success: false, reason: 'invalid', message: `Invalid seat ID: ${seatId}` };
+            }
+            if (l < 0 || r > this.numSegments || l >= r) {
+                return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})` };
+            }
+
+            // Find the active booking(s) that cover the whole range
+            const covering = this.bookings.filter(
+                b => b.seatId === seatId && b.from <= l && r <= b.to && b.active
+            );
+
+            if (covering.length === 0) {
+                return {
+                    success: false,
+                    reason: 'not-found',
+                    message: `No booking found for seat ${this.seatLabel(seatId)} ${this.journeyText(l, r)}`
+                };
+            }
+            if (covering.length > 1) {
+                return {
+                    success: false,
+                    reason: 'conflict',
+                    message: `Seat ${this.seatLabel(seatId)} is shared ${this.journeyText(l, r)} by PNRs ` +
+                        `${covering.map(b => b.pnr).join(' and ')}; cancel by PNR instead`
+                };
+            }
+
+            return this.cancelBooking(covering[0], l, r);
+        });
+    }
+
+    /**
+     * Cancel [l, r) of a specific active booking, then re-check the queue.
+     * Callers must have checked that the booking covers [l, r).
+     *
+     * @param {Object} booking - Active booking record
+     * @param {number} l - Start station (inclusive, default: whole booking)
+     * @param {number} r - End station (exclusive, default: whole booking)
+     * @returns {{success: boolean, message: string, replacedBy?: number[], promotions: string[]}}
+     */
+    cancelBooking(booking, l = booking.from, r = booking.to) {
+        const seatId = booking.seatId;
+
+        // Cancel - decrement occupancy in range
+        this.updateSeat(seatId, l, r, -1);
+
+        // Update global count
+        this.globalTree.update(l, r, -1);
+
+        // Mark booking as inactive
+        booking.active = false;
+
+        if (booking.from === l && booking.to === r) {
+            this.closeWaitlistEntry(booking.pnr);
+            return {
+                success: true,
+                message: `Booking cancelled for seat ${this.seatLabel(seatId)} ${this.journeyText(l, r)}, PNR ${booking.pnr}${this.refundText(booking.fare)}`,
+                promotions: this.processWaitlist()
+            };
+        }
+
+        // Keep the parts of the journey outside the cancelled range
+        const remaining = [];
+        if (booking.from < l) remaining.push([booking.from, l]);
+        if (r < booking.to) remaining.push([r, booking.to]);
+
+        booking.replacedBy = remaining.map(([from, to]) => {
+            const piece = {
+                ...booking,
+                id: this.bookings.length + 1,
+                from,
+                to,
+                active: true,
+                parentId: booking.id,
+                timestamp: this.now(),
+                fare: booking.fare && FareCalculator.slice(booking.fare, from - booking.from, to - booking.from)
+            };
+            delete piece.replacedBy;
+            this.bookings.push(piece);
+            return piece.id;
+        });
+
+        // Full station names: on a route without codes, stretchText() gives bare numbers
+        const pieces = remaining.map(([from, to]) => this.journeyText(from, to)).join(' and ');
+        const refunded = booking.fare && FareCalculator.slice(booking.fare, l - booking.from, r - booking.from);
+        return {
+            success: true,
+            message: `Cancelled seat ${this.seatLabel(seatId)} ${this.journeyText(l, r)}, PNR ${booking.pnr}; ` +
+                `booking #${booking.id} (${this.journeyText(booking.from, booking.to)}) now runs ${pieces}` +
+                this.refundText(refunded),
+            replacedBy: booking.replacedBy,
+            promotions: this.processWaitlist()
+        };
+    }
+
+    /**
+     * Book any free seat for [l, r), or queue the request if none is free.
+     *
+     * The request is placed on the first option that fits:
+     * 1. A free regular seat - confirmed (CNF)
+     * 2. A shared place on an RAC seat - RAC, if RAC seats are configured
+     * 3. The waitlist - WL, confirmed later when a cancellation frees space
+     *
+     * RAC seats are the RAC quota: queued requests only get them as RAC.
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} passenger - Optional {name, age, contact}
+     * @returns {{success: boolean, message: string, status?: string, pnr?: string, position?: number}}
+     */
+    bookOrWaitlist(l, r, passenger = null) {
+        this.expireHolds();
+        return this.journaled('bookOrWaitlist', [l, r, passenger], () => {
+            this.operationCount++;
+
+            if (l < 0 || r > this.numSegments || l >= r) {
+                return { success: false, message: `Invalid station range: [${l}, ${r})` };
+            }
+            const passengerError = validatePassenger(passenger);
+            if (passengerError) {
+                return { success: false, message: passengerError };
+            }
+
+            const entry = {
+                id: this.waitlist.length + 1,
+                pnr: this.generatePnr(),
+                from: l,
+                to: r,
+                passenger: normalizePassenger(passenger),
+                status: 'WL',
+                seatId: null,
+                bookingId: null,
+                requestedAt: this.now(),
+                statusLog: []
+            };
+
+            const booking = this.placeRequest(entry);
+            if (booking && booking.status === 'CNF') {
+                // Confirmed straight away - nothing to track in the queue
+                return {
+                    success: true,
+                    status: 'CNF',
+                    message: `Seat ${this.seatLabel(booking.seatId)} booked ${this.journeyText(l, r)}, PNR ${entry.pnr}${this.fareText(booking.fare)}`,
+                    pnr: entry.pnr
+                };
+            }
+
+            this.waitlist.push(entry);
+            const position = this.getWaitlistPosition(entry);
+
+            if (booking) {
+                this.logWaitlistStatus(entry, 'RAC', `RAC ${position}, sharing seat ${this.seatLabel(booking.seatId)}`);
+                return {
+                    success: true,
+                    status: 'RAC',
+                    message: `RAC ${position}: sharing seat ${this.seatLabel(booking.seatId)} ${this.journeyText(l, r)}, PNR ${entry.pnr}${this.fareText(booking.fare)}`,
+                    pnr: entry.pnr,
+                    position
+                };
+            }
+
+            this.logWaitlistStatus(entry, 'WL', `Waitlisted at position ${position}`);
+            return {
+                success: true,
+                status: 'WL',
+                message: `WL ${position}: no seat free ${this.journeyText(l, r)}, PNR ${entry.pnr}`,
+                pnr: entry.pnr,
+                position
+            };
+        });
+    }
+
+    /**
+     * Try to give a queued request a free regular seat, or else an RAC place.
+     * Updates the entry's seat, booking and status on success.
+     *
+     * @param {Object} entry - Waitlist entry
+     * @returns {Object|null} The new booking, or null if nothing fits
+     */
+    placeRequest(entry) {
+        const { from, to } = entry;
+        const { seatId, status } = this.chooseSeats(() => {
+            const free = this.getRegularFreeSeats(from, to);
+            return free.length > 0
+                ? { seatId: bestFit(this, free, from, to), status: 'CNF' }
+                : { seatId: this.findRacSeat(from, to), status: 'RAC' };
+        });
+        if (seatId === -1) return null;
+
+        const booking = this.addBooking(seatId, from, to, {
+            pnr: entry.pnr,
+            passenger: entry.passenger,
+            status
+        });
+
+        entry.seatId = seatId;
+        entry.bookingId = booking.id;
+        entry.status = status;
+        return booking;
+    }
+
+    /**
+     * Get the free seats for [l, r) that are not RAC seats
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number[]} Seat indices in ascending order
+     */
+    getRegularFreeSeats(l, r) {
+        return this.getFreeSeats(l, r).filter(seatId => !this.racSeats.includes(seatId));
+    }
+
+    /**
+     * Find an RAC seat with room for one more RAC passenger on [l, r).
+     *
+     * An RAC seat holds either one confirmed passenger or up to two RAC
+     * passengers, so the range must be free of confirmed bookings and
+     * have at most one RAC passenger on any segment.
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number} Seat index, or -1 if none
+     */
+    findRacSeat(l, r) {
+        return this.racSeats.find(seatId => this.isRacPlaceFree(seatId, l, r)) ?? -1;
+    }
+
+    /**
+     * Check if an RAC passenger can share the seat for [l, r)
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {boolean}
+     */
+    isRacPlaceFree(seatId, l, r) {
+        if (!this.racSeats.includes(seatId)) return false;
+        if (this.seats[seatId].query(l, r) > 1) return false;
+        if (this.holds.some(h => h.seatId === seatId && h.from < r && h.to > l)) return false;
+
+        return !this.bookings.some(
+            b => b.seatId === seatId && b.active && b.status !== 'RAC' && b.from < r && b.to > l
+        );
+    }
+
+    /**
+     * Re-check the queue after space was freed.
+     *
+     * RAC passengers are upgraded first, in booking order, by moving them
+     * to a free regular seat. Waitlisted requests are then checked in
+     * order and given a free regular seat or an RAC place.
+     *
+     * @returns {string[]} A message for each status change
+     */
+    processWaitlist() {
+        const changes = [];
+
+        for (const booking of this.bookings.filter(b => b.active && b.status === 'RAC')) {
+            const { from, to } = booking;
+            const seatId = this.chooseSeats(() => {
+                const free = this.getRegularFreeSeats(from, to);
+                return free.length > 0 ? bestFit(this, free, from, to) : -1;
+            });
+            if (seatId === -1) continue;
+
+            this.updateSeat(booking.seatId, from, to, -1);
+            this.updateSeat(seatId, from, to, 1);
+            booking.seatId = seatId;
+            booking.status = 'CNF';
+            const entry = this.waitlist.find(e => e.pnr === booking.pnr);
+            if (entry) {
+                entry.status = 'CNF';
+                entry.seatId = booking.seatId;
+                this.logWaitlistStatus(entry, 'CNF', `Confirmed on seat ${this.seatLabel(booking.seatId)}`);
+            }
+            changes.push(`PNR ${booking.pnr}: RAC confirmed on seat ${this.seatLabel(booking.seatId)}`);
+        }
+
+        for (const entry of this.waitlist.filter(e => e.status === 'WL')) {
+            const booking = this.placeRequest(entry);
+            if (!booking) continue;
+
+            const note = booking.status === 'CNF'
+                ? `Confirmed on seat ${this.seatLabel(booking.seatId)}`
+                : `Moved to RAC, sharing seat ${this.seatLabel(booking.seatId)}`;
+            this.logWaitlistStatus(entry, booking.status, note);
+            changes.push(`PNR ${entry.pnr}: ${note}`);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Get a queued request's position among requests with the same status
+     * @param {Object} entry - Waitlist entry
+     * @returns {number} 1-based position, or 0 if it is no longer queued
+     */
+    getWaitlistPosition(entry) {
+        if (entry.status !== 'WL' && entry.status !== 'RAC') return 0;
+        return this.waitlist.filter(e => e.status === entry.status && e.id <= entry.id).length;
+    }
+
+    /**
+     * Record a status change on a waitlist entry
+     * @param {Object} entry - Waitlist entry
+     * @param {string} status - New status
+     * @param {string} note - What happened
+     */
+    logWaitlistStatus(entry, status, note) {
+        entry.statusLog.push({ status, note, at: this.now().toISOString() });
+    }
+
+    /**
+     * Mark a queued request cancelled once none of its bookings are active
+     * @param {string} pnr - Booking reference
+     */
+    closeWaitlistEntry(pnr) {
+        const entry = this.waitlist.find(e => e.pnr === pnr && e.status !== 'CANCELLED');
+        if (!entry || this.bookings.some(b => b.pnr === pnr && b.active)) return;
+
+        entry.status = 'CANCELLED';
+        this.logWaitlistStatus(entry, 'CANCELLED', 'Cancelled');
+    }
+
+    /**
+     * Look up a booking by its PNR.
+     *
+     * A PNR can have several records when part of the journey was
+     * cancelled; all of them are returned, oldest first. Requests that
+     * went through the queue also return their waitlist entry.
+     *
+     * @param {string} pnr - Booking reference
+     * @returns {{success: boolean, message: string, bookings: Object[], waitlist: Object|null, reason?: string}}
+     *     reason is 'not-found' for an unknown PNR
+     */
+    findBooking(pnr) {
+        const ref = String(pnr).trim();
+        const bookings = this.bookings.filter(b => b.pnr === ref);
+        const waitlist = this.waitlist.find(e => e.pnr === ref) || null;
+
+        if (bookings.length === 0 && !waitlist) {
+            return { success: false, reason: 'not-found', message: `No booking found with PNR ${ref}`, bookings, waitlist };
+        }
+
+        if (waitlist && waitlist.status === 'WL') {
+            return {
+                success: true,
+                message: `PNR ${ref}: WL ${this.getWaitlistPosition(waitlist)}`,
+                bookings,
+                waitlist
+            };
+        }
+
+        const active = bookings.filter(b => b.active).length;
+        return {
+            success: true,
+            message: `PNR ${ref}: ${active} active of ${bookings.length} record(s)`,
+            bookings,
+            waitlist
+        };
+    }
+
+    /**
+     * Cancel every active part of a booking by its PNR
+     *
+     * @param {string} pnr - Booking reference
+     * @returns {{success: boolean, message: string, reason?: string}} On failure, reason is
+     *     'not-found' (unknown PNR) or 'conflict' (nothing left to cancel)
+     */
+    cancelByPnr(pnr) {
+        this.expireHolds();
+        return this.journaled('cancelByPnr', [pnr], () => {
+            const lookup = this.findBooking(pnr);
+            if (!lookup.success) {
+                this.operationCount++;
+                return { success: false, reason: lookup.reason, message: lookup.message };
+            }
+
+            // A request still on the waitlist just leaves the queue
+            const entry = lookup.waitlist;
+            if (entry && entry.status === 'WL') {
+                this.operationCount++;
+                entry.status = 'CANCELLED';
+                this.logWaitlistStatus(entry, 'CANCELLED', 'Cancelled while waitlisted');
+                return { success: true, message: `PNR ${pnr} removed from the waitlist`, promotions: [] };
+            }
+
+            const active = lookup.bookings.filter(b => b.active);
+            if (active.length === 0) {
+                this.operationCount++;
+                return { success: false, reason: 'conflict', message: `PNR ${pnr} has no active booking to cancel` };
+            }
+
+            // Cancel by booking record so a shared RAC seat cancels the right passenger
+            const promotions = [];
+            active.forEach(b => {
+                const result = this.cancelBooking(b);
+                promotions.push(...result.promotions);
+            });
+
+            const journeys = active.map(b => `seat ${this.seatLabel(b.seatId)} ${this.journeyText(b.from, b.to)}`);
+            return {
+                success: true,
+                message: `PNR ${pnr} cancelled: ${journeys.join(', ')}`,
+                promotions
+            };
+        });
+    }
+
+    /**
+     * Modify a booking by its PNR.
+     *
+     * Supported changes:
+     * - passenger: new {name, age, contact}, applied to every active record
+     * - seat, from, to: move the booking to another seat and/or journey
+     *   (0-based, as for book()); fields left out keep their value
+     *
+     * Every change is checked before any is applied, so a failed modify
+     * leaves the booking as it was. A move keeps the PNR: the old record
+     * is replaced by a new one, as for a partial cancellation, with the
+     * fare quoted again. Only a single confirmed journey can be moved, not
+     * an RAC or waitlisted one. The place it leaves may let the waitlist
+     * move up.
+     *
+     * @param {string} pnr - Booking reference
+     * @param {Object} changes - Fields to change
+     * @returns {{success: boolean, message: string, bookingId?: number, promotions?: string[], reason?: string}}
+     *     bookingId is the new record after a move. On failure, reason is 'not-found',
+     *     'conflict' (nothing left to modify, or the new seat is taken) or 'invalid'
+     */
+    modifyBooking(pnr, changes = {}) {
+        this.expireHolds();
+        return this.journaled('modifyBooking', [pnr, changes], () => {
+            this.operationCount++;
+
+            const lookup = this.findBooking(pnr);
+            if (!lookup.success) {
+                return { success: false, reason: lookup.reason, message: lookup.message };
+            }
+
+            const entry = lookup.waitlist;
+            const queued = entry && entry.status === 'WL' ? [entry] : [];
+            let active = [...lookup.bookings.filter(b => b.active), ...queued];
+            if (active.length === 0) {
+                return { success: false, reason: 'conflict', message: `PNR ${pnr} has no active booking to modify` };
+            }
+
+            const moving = ['seat', 'from', 'to'].some(field => field in changes);
+            if (!moving && !('passenger' in changes)) {
+                return { success: false, reason: 'invalid', message: 'No changes given' };
+            }
+
+            if ('passenger' in changes) {
+                const passengerError = validatePassenger(changes.passenger);
+                if (passengerError) {
+                    return { success: false, reason: 'invalid', message: passengerError };
+                }
+            }
+
+            let move = null;
+            if (moving) {
+                move = this.checkMove(pnr, active, entry, changes);
+                if (!move.success) return move;
+            }
+
+            // Everything is valid; apply the changes
+            const done = [];
+            let moved = null;
+            if (move) {
+                const old = move.booking;
+                moved = this.moveBooking(old, move.seatId, move.l, move.r);
+                active = [moved];
+                done.push(`moved from seat ${this.seatLabel(old.seatId)} (${this.stretchText(old.from, old.to)}) ` +
+                    `to seat ${this.seatLabel(moved.seatId)} ${this.journeyText(moved.from, moved.to)}${this.fareText(moved.fare)}`);
+            }
+            if ('passenger' in changes) {
+                const passenger = normalizePassenger(changes.passenger);
+                active.forEach(b => { b.passenger = passenger; });
+                done.push('passenger details updated');
+            }
+
+            return {
+                success: true,
+                message: `PNR ${pnr} ${done.join('; ')}`,
+                ...(moved ? { bookingId: moved.id } : {}),
+                promotions: moved ? this.processWaitlist() : []
+            };
+        });
+    }
+
+    /**
+     * Check a seat or journey change for modifyBooking(), without applying it
+     * @param {string} pnr - Booking reference
+     * @param {Object[]} active - Active records of the PNR
+     * @param {Object|null} entry - The PNR's waitlist entry
+     * @param {Object} changes - seat, from and/or to
+     * @returns {{success: boolean, message?: string, reason?: string,
+     *     booking?: Object, seatId?: number, l?: number, r?: number}}
+     */
+    checkMove(pnr, active, entry, changes) {
+        const fail = (reason, message) => ({ success: false, reason, message });
+
+        const booking = active[0];
+        if (active.length > 1) {
+            return fail('conflict', `PNR ${pnr} has ${active.length} active journeys; only a single journey can be moved`);
+        }
+        if (booking === entry) {
+            return fail('conflict', `PNR ${pnr} is waitlisted and has no seat to move`);
+        }
+        if (booking.status === 'RAC') {
+            return fail('conflict', `PNR ${pnr} is RAC; RAC bookings move up from the waitlist and cannot be moved`);
+        }
+
+        const seatId = 'seat' in changes ? changes.seat : booking.seatId;
+        const l = 'from' in changes ? changes.from : booking.from;
+        const r = 'to' in changes ? changes.to : booking.to;
+        if (!Number.isInteger(seatId) || seatId < 0 || seatId >= this.numSeats) {
+            return fail('invalid', `Invalid seat ID: ${seatId}`);
+        }
+        if (!Number.isInteger(l) || !Number.isInteger(r) || l < 0 || r > this.numSegments || l >= r) {
+            return fail('invalid', `Invalid station range: [${l}, ${r})`);
+        }
+        if (seatId === booking.seatId && l === booking.from && r === booking.to) {
+            return fail('invalid', `PNR ${pnr} already has seat ${this.seatLabel(seatId)} ${this.journeyText(l, r)}`);
+        }
+
+        // The booking's own place counts as free: only the rest must be
+        const tree = this.seats[seatId];
+        const free = (a, b) => a >= b || tree.query(a, b) === 0;
+        const fits = seatId === booking.seatId
+            ? free(l, Math.min(r, booking.from)) && free(Math.max(l, booking.to), r)
+            : free(l, r);
+        if (!fits) {
+            return fail('conflict', `Seat ${this.seatLabel(seatId)} already booked for ${this.conflictText(seatId, l, r, booking)}`);
+        }
+
+        return { success: true, booking, seatId, l, r };
+    }
+
+    /**
+     * Move an active booking to another seat and journey, keeping its PNR.
+     * The old record is replaced by a new one with a fresh fare, quoted
+     * without the booking itself on the route. Callers must have checked
+     * the target with checkMove().
+     *
+     * @param {Object} booking - Active booking record
+     * @param {number} seatId - New seat index (0-based)
+     * @param {number} l - New start station (inclusive)
+     * @param {number} r - New end station (exclusive)
+     * @returns {Object} The new booking record
+     */
+    moveBooking(booking, seatId, l, r) {
+        this.updateSeat(booking.seatId, booking.from, booking.to, -1);
+        this.globalTree.update(booking.from, booking.to, -1);
+        booking.active = false;
+
+        const moved = this.addBooking(seatId, l, r, {
+            pnr: booking.pnr,
+            passenger: booking.passenger,
+            status: booking.status
+        });
+        moved.parentId = booking.id;
+        booking.replacedBy = [moved.id];
+
+        // A booking that came off the waitlist keeps its request in step
+        const entry = this.waitlist.find(e => e.pnr === booking.pnr && e.bookingId === booking.id);
+        if (entry) {
+            entry.seatId = seatId;
+            entry.bookingId = moved.id;
+            this.logWaitlistStatus(entry, moved.status, `Moved to seat ${this.seatLabel(seatId)} (${this.stretchText(l, r)})`);
+        }
+        return moved;
+    }
+
+    /**
+     * Book rows read by parseBookings(), one by one through book().
+     *
+     * A row that cannot be booked (unknown seat, bad range, seat taken) is
+     * reported and the import carries on; cancelled and replaced rows are
+     * skipped. The whole import is one journal event, so a single undo
+     * takes it back. Imported bookings get new PNRs and today's time.
+     *
+     * @param {Object[]} rows - Rows from parseBookings()
+     * @param {Object} options
+     * @param {boolean} options.dryRun - Try the rows on a copy of the system, changing nothing
+     * @returns {{success: boolean, message: string, results: Object[], imported: number,
+     *     failed: number, skipped: number, dryRun: boolean, reason?: string}}
+     *     One result per row: {line, success, message, skipped?, pnr?, reason?}.
+     *     Fails with reason 'invalid' if no row could be booked.
+     */
+    importBookings(rows, options = {}) {
+        this.expireHolds();
+        if (options.dryRun) {
+            // Without the journal: the copy would share its events array
+            const copy = SeatBookingSystem.fromSnapshot({ ...this.toSnapshot(), journal: null }, {
+                layout: this.layout,
+                route: this.route,
+                fares: this.fares
+            }).system;
+            copy.restoreHolds(this.holds.map(h => ({ ...h })));
+
+            // The copy's PNRs are thrown away, so describe the bookings without them
+            const result = copy.importBookings(rows);
+            const results = result.results.map(({ pnr, bookingId, ...r }) => {
+                if (!r.success) return r;
+                const b = copy.bookings[bookingId - 1];
+                return { ...r, message: `Seat ${copy.seatLabel(b.seatId)} can be booked ${copy.journeyText(b.from, b.to)}${copy.fareText(b.fare)}` };
+            });
+            return { ...result, results, dryRun: true, message: `Dry run: ${result.message.replace('imported', 'can be imported')}` };
+        }
+
+        return this.journaled('importBookings', [rows], () => {
+            const results = rows.map(row => ({ line: row.line, ...this.importRow(row) }));
+            const imported = results.filter(r => r.success).length;
+            const skipped = results.filter(r => r.skipped).length;
+            const failed = results.length - imported - skipped;
+
+            const parts = [`${imported} of ${results.length} row(s) imported`];
+            if (failed > 0) parts.push(`${failed} failed`);
+            if (skipped > 0) parts.push(`${skipped} skipped`);
+
+            return {
+                success: imported > 0,
+                ...(imported > 0 ? {} : { reason: 'invalid' }),
+                message: parts.join(', '),
+                results,
+                imported,
+                failed,
+                skipped,
+                dryRun: false
+            };
+        });
+    }
+
+    /**
+     * Book one imported row
+     * @param {Object} row - Row from parseBookings()
+     * @returns {Object} The book() result, or why the row was not booked
+     */
+    importRow(row) {
+        if (row.status === 'CANCELLED' || row.status === 'REPLACED') {
+            return { success: false, skipped: true, message: `Skipped ${row.status.toLowerCase()} booking` };
+        }
+
+        const missing = ['seat', 'from', 'to'].filter(field => !row[field]);
+        if (missing.length > 0) {
+            return { success: false, reason: 'invalid', message: `Missing ${missing.join(', ')}` };
+        }
+
+        const seatId = this.seatIndex(row.seat);
+        const l = this.stationIndex(row.from);
+        const r = this.stationIndex(row.to);
+        if (seatId === -1) {
+            return { success: false, reason: 'invalid', message: `Unknown seat "${row.seat}"` };
+        }
+        if (l === -1 || r === -1) {
+            return { success: false, reason: 'invalid', message: `Unknown station "${l === -1 ? row.from : row.to}"` };
+        }
+        if (l >= r) {
+            return { success: false, reason: 'invalid', message: `Station "${row.from}" does not come before "${row.to}"` };
+        }
+
+        const passenger = row.name || row.age || row.contact
+            ? { name: row.name, age: row.age, contact: row.contact }
+            : null;
+        return this.book(seatId, l, r, passenger);
+    }
+
+    /**
+     * Hold a seat for a journey while a passenger checks out.
+     *
+     * The range is blocked in the seat's tree, so nobody else can book or
+     * hold it, but no booking is made and the global tree (booked seats
+     * per segment) does not change. The hold ends when it is confirmed,
+     * released or expires. Holds are not journaled or saved.
+     *
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {number} ttl - How long the hold lasts, in milliseconds
+     * @returns {{success: boolean, message: string, holdId?: number, expiresAt?: Date, reason?: string}}
+     *     On failure, reason is 'invalid' or 'conflict' (the seat is not free)
+     */
+    hold(seatId, l, r, ttl = DEFAULT_HOLD_TTL) {
+        this.operationCount++;
+        this.expireHolds();
+
+        if (!Number.isInteger(seatId) || seatId < 0 || seatId >= this.numSeats) {
+            return { success: false, reason: 'invalid', message: `Invalid seat ID: ${seatId}` };
+        }
+        if (l < 0 || r > this.numSegments || l >= r) {
+            return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})` };
+        }
+        if (!(typeof ttl === 'number' && ttl > 0 && isFinite(ttl))) {
+            return { success: false, reason: 'invalid', message: `Invalid hold time: ${ttl} ms` };
+        }
+        if (this.seats[seatId].query(l, r) > 0) {
+            return {
+                success: false,
+                reason: 'conflict',
+                message: `Seat ${this.seatLabel(seatId)} is not free ${this.journeyText(l, r)}`
+            };
+        }
+
+        const hold = { id: this.nextHoldId++, seatId, from: l, to: r, expiresAt: new Date(Date.now() + ttl) };
+        this.updateSeat(seatId, l, r, 1);
+        this.holds.push(hold);
+
+        return {
+            success: true,
+            message: `Seat ${this.seatLabel(seatId)} held ${this.journeyText(l, r)} until ${hold.expiresAt.toTimeString().slice(0, 8)} (hold ${hold.id})`,
+            holdId: hold.id,
+            expiresAt: hold.expiresAt
+        };
+    }
+
+    /**
+     * Turn a hold into a booking of the same seat and journey
+     *
+     * @param {number} holdId - ID returned by hold()
+     * @param {Object} passenger - Optional {name, age, contact}
+     * @returns {Object} Result of book(); on failure the hold is kept. reason is
+     *     'not-found' for an unknown or expired hold
+     */
+    confirmHold(holdId, passenger = null) {
+        this.expireHolds();
+
+        const hold = this.holds.find(h => h.id === holdId);
+        if (!hold) {
+            return { success: false, reason: 'not-found', message: `Hold ${holdId} not found; it may have expired` };
+        }
+
+        this.removeHold(hold);
+        const result = this.book(hold.seatId, hold.from, hold.to, passenger);
+        if (!result.success) {
+            this.updateSeat(hold.seatId, hold.from, hold.to, 1);
+            this.holds.push(hold);
+        }
+        return result;
+    }
+
+    /**
+     * Release a hold before it expires
+     * @param {number} holdId - ID returned by hold()
+     * @returns {{success: boolean, message: string, reason?: string}}
+     */
+    releaseHold(holdId) {
+        this.operationCount++;
+        this.expireHolds();
+
+        const hold = this.holds.find(h => h.id === holdId);
+        if (!hold) {
+            return { success: false, reason: 'not-found', message: `Hold ${holdId} not found; it may have expired` };
+        }
+
+        this.removeHold(hold);
+        return {
+            success: true,
+            message: `Hold ${hold.id} on seat ${this.seatLabel(hold.seatId)} ${this.journeyText(hold.from, hold.to)} released`
+        };
+    }
+
+    /**
+     * Release every hold whose time is up. Every booking and availability
+     * call runs this first, so a lapsed hold never blocks a seat; front
+     * ends call it themselves only to report which holds ran out.
+     *
+     * @param {Date} now - Current time
+     * @returns {Object[]} The expired holds
+     */
+    expireHolds(now = new Date()) {
+        if (this.holds.length === 0) return [];
+        const expired = this.holds.filter(h => h.expiresAt <= now);
+        expired.forEach(h => this.removeHold(h));
+        return expired;
+    }
+
+    /**
+     * Free a hold's range in its seat tree and forget it
+     * @param {Object} hold - Entry of this.holds
+     */
+    removeHold(hold) {
+        this.updateSeat(hold.seatId, hold.from, hold.to, -1);
+        this.holds.splice(this.holds.indexOf(hold), 1);
+    }
+
+    /**
+     * Block the ranges of holds in the seat trees, e.g. after undo rebuilt
+     * the trees or when copying another system's holds
+     * @param {Object[]} holds - {id, seatId, from, to, expiresAt}
+     * @returns {Object[]} Holds left out because their range is taken
+     */
+    restoreHolds(holds) {
+        this.holds = [];
+        const dropped = [];
+        holds.forEach(h => {
+            if (this.seats[h.seatId].query(h.from, h.to) > 0) {
+                dropped.push(h);
+                return;
+            }
+            this.updateSeat(h.seatId, h.from, h.to, 1);
+            this.holds.push(h);
+        });
+        this.nextHoldId = Math.max(this.nextHoldId, ...this.holds.map(h => h.id + 1));
+        return dropped;
+    }
+
+    /**
+     * Find all seats available for the given journey range
+     * 
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {Object} filters - Only seats matching these (see Layout.matches),
+     *     e.g. { position: 'window' } or { berth: 'LB', coach: 'B1' }
+     * @returns {{available: number[], message: string}}
+     */
+    queryAvailable(l, r, filters = {}) {
+        this.expireHolds();
+        this.operationCount++;
+
+        if (l < 0 || r > this.numSegments || l >= r) {
+            return { available: [], message: `Invalid station range: [${l}, ${r})` };
+        }
+
+        const available = this.getFreeSeats(l, r).filter(seatId => this.layout.matches(seatId, filters));
+
+        const filtered = Object.values(filters).some(Boolean) ? ' matching the filters' : '';
+        const message = available.length > 0
+            ? `${available.length} seat(s)${filtered} available ${this.journeyText(l, r)}`
+            : `No seats${filtered} available ${this.journeyText(l, r)}`;
+
+        return { available, message };
+    }
+
+    /**
+     * Check if a specific seat is available for a range
+     * 
+     * @param {number} seatId - Seat index (0-based)
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {boolean}
+     */
+    isAvailable(seatId, l, r) {
+        this.expireHolds();
+        if (seatId < 0 || seatId >= this.numSeats) return false;
+        if (l < 0 || r > this.numSegments || l >= r) return false;
+
+        return this.seats[seatId].query(l, r) === 0;
+    }
+
+    /**
+     * Get seat status: 'available', 'booked', or 'partial'
+     * 
+     * @param {number} seatId - Seat index (0-based)
+     * @returns {string} Status string
+     */
+    getSeatStatus(seatId) {
+        this.expireHolds();
+        if (seatId < 0 || seatId >= this.numSeats) return 'available';
+
+        // Check entire journey
+        const maxOccupancy = this.seats[seatId].query(0, this.numSegments);
+
+        if (maxOccupancy === 0) {
+            return 'available';
+        }
+
+        // Fully booked if even the least occupied segment is taken
+        const minOccupancy = this.seats[seatId].queryMin(0, this.numSegments);
+        return minOccupancy > 0 ? 'booked' : 'partial';
+    }
+
+    /**
+     * Count the seats free for a whole journey, using the free seat index
+     * instead of checking every seat
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number} 0 for an invalid range
+     */
+    countAvailable(l, r) {
+        this.expireHolds();
+        if (l < 0 || r > this.numSegments || l >= r) return 0;
+        return this.freeIndex.countFree(l, r);
+    }
+
+    /**
+     * Find the lowest-numbered seat free for a whole journey, using the
+     * free seat index instead of checking every seat
+     *
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @returns {number} Seat index, or -1 if none is free or the range is invalid
+     */
+    findFreeSeat(l, r) {
+        this.expireHolds();
+        if (l < 0 || r > this.numSegments || l >= r) return -1;
+        return this.freeIndex.firstFree(l, r);
+    }
+
+    /**
+     * Get active booking count
+     * @returns {number}
+     */
+    getActiveBookings() {
+        return this.bookings.filter(b => b.active).length;
+    }
+
+    /**
+     * Get the number of seats booked on each segment
+     * @returns {number[]} Load per segment, index i covers stations [i, i+1)
+     */
+    getSegmentLoads() {
+        const loads = [];
+        for (let i = 0; i < this.numSegments; i++) {
+            loads.push(this.globalTree.query(i, i + 1));
+        }
+        return loads;
+    }
+
+    /**
+     * Get the busiest segment between two stations from the global tree
+     *
+     * @param {number} l - Start station (inclusive, default: first station)
+     * @param {number} r - End station (exclusive, default: last station)
+     * @returns {{load: number, segment: number}} Max seats booked on one segment
+     *     and the first segment with that load (-1 for an invalid range)
+     */
+    getPeakLoad(l = 0, r = this.numSegments) {
+        if (l < 0 || r > this.numSegments || l >= r) {
+            return { load: 0, segment: -1 };
+        }
+
+        const load = this.globalTree.query(l, r);
+        let segment = l;
+        while (segment < r - 1 && this.globalTree.query(segment, segment + 1) !== load) {
+            segment++;
+        }
+        return { load, segment };
+    }
+
+    /**
+     * First station from which a seat stays free to the end of the route:
+     * the start of its free run that reaches the last segment
+     *
+     * @param {number} seatId - Seat index (0-based)
+     * @returns {number} Station index; the last station if the seat is taken
+     *     (or held) on the final segment
+     */
+    vacantFrom(seatId) {
+        const gap = this.freeIndex.gapAt(seatId, this.numSegments - 1);
+        return gap ? gap[0] : this.numSegments;
+    }
+
+    /**
+     * Passenger chart for conductors: who boards and alights at each
+     * station, and which seats are free from there to the end of the route.
+     * Waitlisted requests have no seat and are left out.
+     *
+     * @returns {Array<{station: number, boarding: Object[], alighting: Object[],
+     *     vacant: number[], freed: number[]}>} One entry per station. Boarding and
+     *     alighting are active bookings, in seat order. Vacant lists the seats free
+     *     from the station to the end; freed the ones among them that were taken
+     *     (or held) just before it, or all vacant seats at the first station.
+     *     Both are empty at the last station.
+     */
+    getStationChart() {
+        const chart = [];
+        for (let station = 0; station < this.numStations; station++) {
+            chart.push({ station, boarding: [], alighting: [], vacant: [], freed: [] });
+        }
+
+        this.bookings
+            .filter(b => b.active)
+            .sort((a, b) => a.seatId - b.seatId || a.from - b.from)
+            .forEach(b => {
+                chart[b.from].boarding.push(b);
+                chart[b.to].alighting.push(b);
+            });
+
+        for (let seatId = 0; seatId < this.numSeats; seatId++) {
+            const from = this.vacantFrom(seatId);
+            if (from === this.numSegments) continue;
+            chart[from].freed.push(seatId);
+            for (let station = from; station < this.numSegments; station++) {
+                chart[station].vacant.push(seatId);
+            }
+        }
+        return chart;
+    }
+
+    /**
+     * Get global segment tree visualization showing seats booked per segment
+     * @returns {Array} Tree levels with seat counts
+     */
+    getGlobalTreeVisualization() {
+        return this.globalTree.getTreeVisualization();
+    }
+
+    /**
+     * Get segment tree for a specific seat
+     * @param {number} seatId - Seat index
+     * @returns {Array} Tree levels
+     */
+    getTreeVisualization(seatId) {
+        if (seatId < 0 || seatId >= this.numSeats) return [];
+        return this.seats[seatId].getTreeVisualization();
+    }
+
+    /**
+     * Record the tree calls a booking, cancellation or query would make, for
+     * stepping through them. Runs on a copy of the tree: nothing is booked.
+     *
+     * A seat's booking queries [l, r) and adds 1 if it is free; on the global
+     * tree it only adds 1. A cancellation subtracts 1.
+     *
+     * @param {string} op - 'book', 'cancel' or 'query'
+     * @param {number} l - Start station (inclusive)
+     * @param {number} r - End station (exclusive)
+     * @param {number|null} seatId - Seat whose tree to use, or null for the global tree
+     * @returns {{success: boolean, message: string, trace?: Object, tree?: SegmentTree}}
+     *     trace is from SegmentTree.stopTrace(); tree is the copy after the calls
+     */
+    traceOperation(op, l, r, seatId = null) {
+        if (l < 0 || r > this.numSegments || l >= r) {
+            return { success: false, reason: 'invalid', message: `Invalid station range: [${l}, ${r})` };
+        }
+        if (seatId !== null && !(seatId >= 0 && seatId < this.numSeats)) {
+            return { success: false, reason: 'invalid', message: `Invalid seat: ${seatId}` };
+        }
+        if (!['book', 'cancel', 'query'].includes(op)) {
+            return { success: false, reason: 'invalid', message: `Unknown operation: ${op}` };
+        }
+
+        const where = seatId === null ? 'the route load tree' : `seat ${this.seatLabel(seatId)}'s tree`;
+        const tree = (seatId === null ? this.globalTree : this.seats[seatId]).clone();
+        if (op === 'cancel' && tree.queryMin(l, r) < 1) {
+            return { success: false, reason: 'not-found', message: `Nothing is booked ${this.journeyText(l, r)} in ${where}` };
+        }
+
+        let message;
+        tree.startTrace();
+        if (op === 'query') {
+            message = `Max ${tree.query(l, r)} ${this.journeyText(l, r)} in ${where}`;
+        } else if (op === 'cancel') {
+            tree.update(l, r, -1);
+            message = `Cancelled ${this.journeyText(l, r)} in ${where}`;
+        } else if (seatId !== null && tree.query(l, r) > 0) {
+            message = `Seat ${this.seatLabel(seatId)} is taken ${this.journeyText(l, r)}: nothing to add`;
+        } else {
+            tree.update(l, r, 1);
+            message = `Booked ${this.journeyText(l, r)} in ${where}`;
+        }
+        return { success: true, message, trace: tree.stopTrace(), tree };
+    }
+
+    /**
+     * Check the segment trees and the free seat index against the bookings.
+     *
+     * The expected occupancy of each seat and segment is counted from the
+     * active bookings and the holds (holds block seats, but are not
+     * passengers, so the global tree counts bookings only). Then every node
+     * of every tree, and every seat's free gaps in the index, are compared
+     * with it. Nothing is changed.
+     *
+     * @returns {{success: boolean, message: string, problems: Object[], reason?: string}}
+     *     Each problem has a kind and a message:
+     *     - 'booking': an active booking or hold with an impossible seat or range
+     *     - 'overbooked': more on a seat and segment than it takes (1, or 2 RAC passengers)
+     *     - 'seat-tree': a node of seat seatId's tree, { node, start, end, expected, actual }
+     *     - 'route-tree': a node of the global tree, same fields
+     *     - 'free-index': seat seatId's gaps ({ expected, actual } lists of [a, b)),
+     *       or the free seat count or first free seat of one segment
+     *     On failure, reason is 'corrupted'
+     */
+    verify() {
+        const problems = [];
+        const occupancy = this.seats.map(() => new Array(this.numSegments).fill(0));
+        const loads = new Array(this.numSegments).fill(0);
+        const range = (a, b) => `[${a + 1},${b + 1})`;
+
+        const active = this.bookings.filter(b => b.active);
+        const blocks = [...active.map(b => ({ what: `Booking #${b.id}`, ...b })), ...this.holds.map(h => ({ what: `Hold ${h.id}`, ...h }))];
+        for (const block of blocks) {
+            if (!(Number.isInteger(block.seatId) && block.seatId >= 0 && block.seatId < this.numSeats &&
+                block.from >= 0 && block.to <= this.numSegments && block.from < block.to)) {
+                problems.push({ kind: 'booking', message: `${block.what} has seat ${block.seatId} and range ${range(block.from, block.to)}, outside the system` });
+                continue;
+            }
+            for (let i = block.from; i < block.to; i++) {
+                occupancy[block.seatId][i]++;
+                if (!block.expiresAt) loads[i]++;
+            }
+        }
+
+        occupancy.forEach((segments, seatId) => {
+            const capacity = this.racSeats.includes(seatId) ? 2 : 1;
+            segments.forEach((count, i) => {
+                if (count > capacity) {
+                    problems.push({ kind: 'overbooked', seatId, segment: i,
+                        message: `Seat ${this.seatLabel(seatId)} has ${count} bookings or holds on segment ${range(i, i + 1)}` });
+                }
+            });
+        });
+
+        const nodeProblem = (kind, name, seatId) => m => ({
+            kind, seatId, ...m,
+            message: `${name} node ${m.node} ${range(m.start, m.end)}: max ${m.actual.max}, min ${m.actual.min}; ` +
+                `expected max ${m.expected.max}, min ${m.expected.min}`
+        });
+        this.seats.forEach((tree, seatId) => {
+            problems.push(...tree.mismatches(occupancy[seatId]).map(nodeProblem('seat-tree', `Seat ${this.seatLabel(seatId)} tree`, seatId)));
+        });
+        problems.push(...this.globalTree.mismatches(loads).map(nodeProblem('route-tree', 'Route load tree', null)));
+
+        // Free gaps: maximal runs of segments with nothing on the seat
+        const gapText = gaps => gaps.map(([a, b]) => range(a, b)).join(' ') || 'none';
+        occupancy.forEach((segments, seatId) => {
+            const expected = [];
+            segments.forEach((count, i) => {
+                if (count > 0) return;
+                const last = expected[expected.length - 1];
+                if (last && last[1] === i) last[1] = i + 1;
+                else expected.push([i, i + 1]);
+            });
+            const actual = this.freeIndex.gaps[seatId];
+            if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                problems.push({ kind: 'free-index', seatId, expected, actual,
+                    message: `Seat ${this.seatLabel(seatId)} free gaps are ${gapText(actual)}; expected ${gapText(expected)}` });
+            }
+        });
+        for (let i = 0; i < this.numSegments; i++) {
+            const free = occupancy.filter(segments => segments[i] === 0).length;
+            const first = occupancy.findIndex(segments => segments[i] === 0);
+            const count = this.freeIndex.countFree(i, i + 1);
+            const found = this.freeIndex.firstFree(i, i + 1);
+            if (count !== free || found !== first) {
+                problems.push({ kind: 'free-index', segment: i, expected: { count: free, first }, actual: { count, first: found },
+                    message: `Segment ${range(i, i + 1)}: index counts ${count} free seats, first ${found}; expected ${free}, first ${first}` });
+            }
+        }
+
+        if (problems.length === 0) {
+            return {
+                success: true,
+                message: `Consistent: every tree node and the free seat index match ${active.length} active booking(s) and ${this.holds.length} hold(s)`,
+                problems
+            };
+        }
+        return {
+            success: false,
+            reason: 'corrupted',
+            message: `${problems.length} problem${problems.length === 1 ? '' : 's'} found. First: ${problems[0].message}`,
+            problems
+        };
+    }
+
+    /**
+     * Serialize the system into a plain JSON-safe snapshot.
+     *
+     * Segment trees are not stored: they are rebuilt from the active
+     * bookings on restore. The per-segment load is stored alongside so the
+     * rebuilt global tree can be checked against it.
+     *
+     * @returns {Object} Snapshot object
+     */
+    toSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            numSeats: this.numSeats,
+            numStations: this.numStations,
+            seatsPerRow: this.layout.width,
+            racSeats: this.racSeats,
+            operationCount: this.operationCount,
+            bookings: this.bookings.map(b => ({
+                ...b,
+                timestamp: b.timestamp.toISOString()
+            })),
+            waitlist: this.waitlist.map(e => ({
+                ...e,
+                requestedAt: e.requestedAt.toISOString()
+            })),
+            journal: {
+                events: this.journal.events,
+                cursor: this.journal.cursor
+            },
+            segmentLoads: this.getSegmentLoads()
+        };
+    }
+
+    /**
+     * Rebuild a booking system from a snapshot created by toSnapshot().
+     *
+     * Every booking is validated and active bookings are replayed into
+     * fresh segment trees. A snapshot from another version, with
+     * malformed bookings, overlapping bookings on one seat, or a segment
+     * load that does not match the bookings is rejected.
+     *
+     * @param {Object} snapshot - Snapshot object
+     * @param {Object} options - Layout, route and fares for the restored system, as for
+     *     the constructor; these are configuration and not part of the snapshot
+     * @returns {{success: boolean, message: string, system?: SeatBookingSystem, reason?: string}}
+     */
+    static fromSnapshot(snapshot, options = {}) {
+        const fail = (reason, message) => ({ success: false, reason, message });
+
+        if (!snapshot || typeof snapshot !== 'object') {
+            return fail('corrupted', 'Snapshot is not an object');
+        }
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            return fail('version', `Snapshot version ${snapshot.version} is not supported (expected ${SNAPSHOT_VERSION})`);
+        }
+
+        const { numSeats, numStations, bookings } = snapshot;
+        if (!Number.isInteger(numSeats) || numSeats < 1 ||
+            !Number.isInteger(numStations) || numStations < 2) {
+            return fail('corrupted', 'Snapshot has an invalid seat or station count');
+        }
+        if (!Array.isArray(bookings)) {
+            return fail('corrupted', 'Snapshot has no bookings list');
+        }
+
+        const system = new SeatBookingSystem(numSeats, numStations, {
+            layout: options.layout,
+            seatsPerRow: snapshot.seatsPerRow,
+            racSeats: Array.isArray(snapshot.racSeats) ? snapshot.racSeats : [],
+            route: options.route,
+            fares: options.fares
+        });
+
+        for (const [index, b] of bookings.entries()) {
+            const timestamp = new Date(b && b.timestamp);
+            const valid = b && Number.isInteger(b.id) &&
+                (Number.isInteger(b.seatId) ? b.seatId >= 0 && b.seatId < numSeats : b.seatId === null && !b.active) &&
+                Number.isInteger(b.from) && Number.isInteger(b.to) &&
+                b.from >= 0 && b.to < numStations && b.from < b.to &&
+                typeof b.active === 'boolean' && !isNaN(timestamp.getTime()) &&
+                (!b.fare || (Array.isArray(b.fare.segments) &&
+                    b.fare.segments.length === b.to - b.from && typeof b.fare.total === 'number'));
+
+            if (!valid) {
+                return fail('corrupted', `Booking #${index + 1} in snapshot is malformed`);
+            }
+
+            if (b.active) {
+                const taken = b.status === 'RAC'
+                    ? !system.isRacPlaceFree(b.seatId, b.from, b.to)
+                    : system.seats[b.seatId].query(b.from, b.to) > 0;
+                if (taken) {
+                    return fail('corrupted', `Booking #${b.id} overlaps another booking on seat ${system.seatLabel(b.seatId)}`);
+                }
+                system.updateSeat(b.seatId, b.from, b.to, 1);
+                system.globalTree.update(b.from, b.to, 1);
+            }
+
+            system.bookings.push({ ...b, timestamp, fare: b.fare || null });
+        }
+
+        for (const [index, e] of (snapshot.waitlist || []).entries()) {
+            const requestedAt = new Date(e && e.requestedAt);
+            if (!e || typeof e.pnr !== 'string' || !Array.isArray(e.statusLog) || isNaN(requestedAt.getTime())) {
+                return fail('corrupted', `Waitlist entry #${index + 1} in snapshot is malformed`);
+            }
+            system.waitlist.push({ ...e, requestedAt });
+        }
+
+        // Cross-check the rebuilt global tree against the stored loads
+        if (Array.isArray(snapshot.segmentLoads)) {
+            for (let i = 0; i < system.numSegments; i++) {
+                if (system.globalTree.query(i, i + 1) !== snapshot.segmentLoads[i]) {
+                    return fail('corrupted', `Segment ${i + 1} load does not match the stored bookings`);
+                }
+            }
+        }
+
+        const journal = snapshot.journal;
+        if (journal) {
+            const valid = Array.isArray(journal.events) && Number.isInteger(journal.cursor) &&
+                journal.cursor >= 0 && journal.cursor <= journal.events.length &&
+                journal.events.every(e => e && typeof system[e.type] === 'function' &&
+                    Array.isArray(e.args) && Array.isArray(e.pnrs) &&
+                    (e.choices === undefined || Array.isArray(e.choices)));
+            if (!valid) {
+                return fail('corrupted', 'Snapshot has a malformed operation journal');
+            }
+            system.journal = new OperationJournal(journal.events, journal.cursor);
+        }
+
+        system.operationCount = Number.isInteger(snapshot.operationCount) ? snapshot.operationCount : 0;
+
+        return {
+            success: true,
+            message: `Restored ${system.getActiveBookings()} active booking(s)`,
+            system
+        };
+    }
+}
+
+// ======================== OPERATION JOURNAL =========================
+
+/**
+ * Ordered list of operations with an undo cursor.
+ *
+ * Events before the cursor are applied; events after it were undone and
+ * can be redone until a new operation is recorded.
+ */
+class OperationJournal {
+    /**
+     * @param {Object[]} events - Recorded events
+     * @param {number} cursor - Number of applied events
+     */
+    constructor(events = [], cursor = events.length) {
+        this.events = events;
+        this.cursor = cursor;
+    }
+
+    /**
+     * Record a new event, dropping any undone events after the cursor
+     * @param {Object} event - {type, args, at, pnrs, choices}
+     */
+    record(event) {
+        this.events.length = this.cursor;
+        this.events.push(event);
+        this.cursor++;
+    }
+
+    /** @returns {boolean} */
+    canUndo() {
+        return this.cursor > 0;
+    }
+
+    /** @returns {boolean} */
+    canRedo() {
+        return this.cursor < this.events.length;
+    }
+}
+
+/**
+ * Describe a journal event for the history log
+ * @param {Object} event - Journal event
+ * @returns {string}
+ */
+function describeEvent(event, system) {
+    const route = system.route;
+    const [a, b, c] = event.args;
+    switch (event.type) {
+        case 'book':
+            return `booking of seat ${system.seatLabel(a)} from ${route.label(b)} to ${route.label(c)}`;
+        case 'bookGroup':
+            return Array.isArray(a)
+                ? `group booking of seats ${a.map(id => system.seatLabel(id)).join(', ')}`
+                : `group booking for ${a} passenger(s)`;
+        case 'bookSplitJourney':
+            return `split journey booking on seats ${a.map(leg => system.seatLabel(leg.seatId)).join(', ')}`;
+        case 'cancel':
+            return `cancellation of seat ${system.seatLabel(a)} from ${route.label(b)} to ${route.label(c)}`;
+        case 'bookOrWaitlist':
+            return `booking request from ${route.label(a)} to ${route.label(b)}`;
+        case 'cancelByPnr':
+            return `cancellation of PNR ${a}`;
+        case 'modifyBooking':
+            return ['seat', 'from', 'to'].some(field => field in b) ? `move of PNR ${a}` : `change to PNR ${a}`;
+        case 'importBookings':
+            return `import of ${a.length} booking row(s)`;
+        default:
+            return event.type;
+    }
+}
+
+// ======================== PASSENGER DETAILS =========================
+
+/**
+ * Check passenger details passed to book().
+ * Name is required; age and contact are optional.
+ *
+ * @param {Object|null} passenger - {name, age, contact} or null for none
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassenger(passenger) {
+    if (passenger === null || passenger === undefined) return null;
+
+    if (typeof passenger !== 'object') {
+        return 'Passenger details must be an object';
+    }
+    if (typeof passenger.name !== 'string' || passenger.name.trim() === '') {
+        return 'Passenger name is required';
+    }
+    if (passenger.name.trim().length > 60) {
+        return 'Passenger name is too long (max 60 characters)';
+    }
+
+    const hasAge = passenger.age !== undefined && passenger.age !== null && passenger.age !== '';
+    if (hasAge && !(Number.isInteger(Number(passenger.age)) && passenger.age >= 0 && passenger.age <= 120)) {
+        return `Invalid passenger age: ${passenger.age}`;
+    }
+    if (passenger.contact !== undefined && passenger.contact !== null &&
+        String(passenger.contact).length > 80) {
+        return 'Passenger contact is too long (max 80 characters)';
+    }
+
+    return null;
+}
+
+/**
+ * Store passenger details in a consistent shape
+ * @param {Object|null} passenger - Validated passenger details
+ * @returns {Object|null} {name, age, contact} with age as a number or null
+ */
+function normalizePassenger(passenger) {
+    if (!passenger) return null;
+
+    const hasAge = passenger.age !== undefined && passenger.age !== null && passenger.age !== '';
+    return {
+        name: passenger.name.trim(),
+        age: hasAge ? Number(passenger.age) : null,
+        contact: passenger.contact ? String(passenger.contact).trim() : ''
+    };
+}
+
+// ===================== SEAT ALLOCATION STRATEGIES ===================
+
+/**
+ * Choose the free seat whose surrounding free run is tightest, so long
+ * free stretches on other seats stay intact for long trips.
+ */
+function bestFit(system, candidates, l, r) {
+    let best = candidates[0];
+    let bestSlack = Infinity;
+
+    for (const seatId of candidates) {
+        const gap = system.getFreeGap(seatId, l, r);
+        const slack = (gap.end - gap.start) - (r - l);
+        if (slack < bestSlack) {
+            best = seatId;
+            bestSlack = slack;
+        }
+    }
+    return best;
+}
+
+/**
+ * Best fit among seats in the given position, falling back to any seat
+ */
+function preferPosition(position) {
+    return (system, candidates, l, r) => {
+        const preferred = candidates.filter(id => system.getSeatPosition(id) === position);
+        return bestFit(system, preferred.length > 0 ? preferred : candidates, l, r);
+    };
+}
+
+/**
+ * Allocation strategies for SeatBookingSystem.autoAssign().
+ *
+ * Each strategy receives the system, the free seat IDs for [l, r) in
+ * ascending order, and the range, and returns one of the candidates.
+ * Add an entry here to make a new strategy available by name.
+ */
+const ALLOCATION_STRATEGIES = {
+    'first-fit': (system, candidates) => candidates[0],
+    'best-fit': bestFit,
+    'window': preferPosition('window'),
+    'aisle': preferPosition('aisle')
+};
+
+// ========================= SERVICE REGISTRY =========================
+
+/** Bump when the registry snapshot format changes incompatibly */
+const REGISTRY_VERSION = 1;
+
+/**
+ * Holds one SeatBookingSystem per (service, travel date).
+ *
+ * Services describe the vehicle: { id, name, numSeats, numStations,
+ * seatsPerRow, racSeats, layout, route, fares }. Without a layout the
+ * seats form a plain grid of seatsPerRow with racSeats shared by RAC.
+ *
+ * Systems are created on first use, so only the dates that were actually
+ * opened take up memory.
+ */
+class ServiceRegistry {
+    /**
+     * @param {Array<Object>} services - Service definitions
+     */
+    constructor(services) {
+        this.services = services;
+        this.systems = new Map();   // "id|date" -> { serviceId, date, system }
+        this.reconfigurations = []; // { serviceId, changes } applied by reconfigure(), in order
+    }
+
+    /**
+     * Build the map key for a service and date
+     * @param {string} serviceId
+     * @param {string} date - Travel date as YYYY-MM-DD
+     * @returns {string}
+     */
+    static key(serviceId, date) {
+        return `${serviceId}|${date}`;
+    }
+
+    /**
+     * Today's local date as YYYY-MM-DD
+     * @returns {string}
+     */
+    static today() {
+        const d = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    /**
+     * Check that a string is a real YYYY-MM-DD date
+     * @param {string} date
+     * @returns {boolean}
+     */
+    static isValidDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+        const parsed = new Date(`${date}T00:00:00Z`);
+        return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+    }
+
+    /**
+     * Find a service definition
+     * @param {string} serviceId
+     * @returns {Object|null}
+     */
+    getService(serviceId) {
+        return this.services.find(s => s.id === serviceId) || null;
+    }
+
+    /**
+     * Create an empty system for a service
+     * @param {Object} service - Service definition
+     * @returns {SeatBookingSystem}
+     */
+    static createSystem(service) {
+        return new SeatBookingSystem(service.numSeats, service.numStations, {
+            seatsPerRow: service.seatsPerRow,
+            racSeats: service.layout ? service.layout.racSeats : service.racSeats || [],
+            ...ServiceRegistry.configOptions(service)
+        });
+    }
+
+    /**
+     * System options that come from the service configuration
+     * rather than from saved data
+     * @param {Object} service - Service definition
+     * @returns {{layout: Layout, route: Route, fares: FareCalculator}}
+     */
+    static configOptions(service) {
+        return { layout: service.layout, route: service.route, fares: service.fares };
+    }
+
+    /**
+     * Get the system for a service on a date, creating it on first use
+     * @param {string} serviceId
+     * @param {string} date - Travel date as YYYY-MM-DD
+     * @returns {SeatBookingSystem|null} null for an unknown service or bad date
+     */
+    getSystem(serviceId, date) {
+        const service = this.getService(serviceId);
+        if (!service || !ServiceRegistry.isValidDate(date)) return null;
+
+        const key = ServiceRegistry.key(serviceId, date);
+        if (!this.systems.has(key)) {
+            this.systems.set(key, { serviceId, date, system: ServiceRegistry.createSystem(service) });
+        }
+        return this.systems.get(key).system;
+    }
+
+    /**
+     * All systems created so far
+     * @returns {Array<{serviceId: string, date: string, system: SeatBookingSystem}>}
+     */
+    entries() {
+        return Array.from(this.systems.values());
+    }
+
+    /**
+     * Find a PNR on any service and date
+     * @param {string} pnr
+     * @returns {{serviceId: string, date: string, system: SeatBookingSystem}|null}
+     */
+    findByPnr(pnr) {
+        return this.entries().find(entry => entry.system.findBooking(pnr).success) || null;
+    }
+
+    /**
+     * Add or remove seats, or add stations, on every date of a service
+     * (see SeatBookingSystem.resized). Either every date takes the change
+     * or nothing changes. Dates opened later get the new shape too.
+     *
+     * The service definition is replaced, not edited, so the array the
+     * registry was created with keeps the original configuration.
+     *
+     * @param {string} serviceId
+     * @param {Object} changes - { addSeats, removeSeats, stationsBefore, stationsAfter }
+     * @returns {{success: boolean, message: string, promotions?: string[], reason?: string}}
+     *     promotions are the waitlist moves on every date. The message notes when any
+     *     date lost its undo history
+     */
+    reconfigure(serviceId, changes) {
+        const service = this.getService(serviceId);
+        if (!service) {
+            return { success: false, reason: 'not-found', message: `Unknown service "${serviceId}"` };
+        }
+
+        const template = ServiceRegistry.createSystem(service).resized(changes);
+        if (!template.success) {
+            return template;
+        }
+        const entries = this.entries().filter(entry => entry.serviceId === serviceId);
+        const systems = [];
+        const promotions = [];
+        let historyCleared = false;
+        for (const entry of entries) {
+            const result = entry.system.resized(changes);
+            if (!result.success) {
+                return { ...result, message: `${service.name} on ${entry.date}: ${result.message}` };
+            }
+            systems.push(result.system);
+            historyCleared = historyCleared || result.historyCleared;
+            promotions.push(...result.promotions.map(message => `${entry.date}: ${message}`));
+        }
+
+        const shaped = template.system;
+        const updated = { ...service, numSeats: shaped.numSeats, numStations: shaped.numStations };
+        if (service.layout) {
+            updated.layout = shaped.layout;
+        } else {
+            updated.seatsPerRow = shaped.layout.width;
+            updated.racSeats = shaped.racSeats;
+        }
+        if (service.route) updated.route = shaped.route;
+
+        const kept = entries.reduce((sum, entry) => sum + entry.system.getActiveBookings(), 0);
+        this.services = this.services.map(s => (s === service ? updated : s));
+        entries.forEach((entry, i) => { entry.system = systems[i]; });
+        this.reconfigurations.push({ serviceId, changes });
+
+        return {
+            success: true,
+            message: `${service.name}: ${template.summary}: now ${shaped.numSeats} seats and ${shaped.numStations} stations, ${kept} active booking(s) kept on ${entries.length} date(s)` +
+                (historyCleared ? HISTORY_CLEARED : ''),
+            promotions
+        };
+    }
+
+    /**
+     * Serialize every system that has been used
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            registryVersion: REGISTRY_VERSION,
+            reconfigurations: this.reconfigurations,
+            systems: this.entries()
+                .filter(({ system }) => system.journal.events.length > 0 || system.bookings.length > 0)
+                .map(({ serviceId, date, system }) => ({ serviceId, date, system: system.toSnapshot() }))
+        };
+    }
+
+    /**
+     * Rebuild a registry from a snapshot.
+     *
+     * A single-system snapshot from before services existed is restored as
+     * today's run of the first service, if the seat and station counts match.
+     * Saved reconfigurations are applied to the services before any system
+     * is restored.
+     *
+     * @param {Object} snapshot - Output of toSnapshot()
+     * @param {Array<Object>} services - Current service definitions
+     * @returns {{success: boolean, message: string, registry?: ServiceRegistry, reason?: string}}
+     */
+    static fromSnapshot(snapshot, services) {
+        const fail = (reason, message) => ({ success: false, reason, message });
+
+        if (!snapshot || typeof snapshot !== 'object') {
+            return fail('corrupted', 'Snapshot is not an object');
+        }
+        if (snapshot.registryVersion === undefined && snapshot.numSeats !== undefined) {
+            snapshot = {
+                registryVersion: REGISTRY_VERSION,
+                systems: [{ serviceId: services[0].id, date: ServiceRegistry.today(), system: snapshot }]
+            };
+        }
+        if (snapshot.registryVersion !== REGISTRY_VERSION) {
+            return fail('version', `Registry version ${snapshot.registryVersion} is not supported (expected ${REGISTRY_VERSION})`);
+        }
+        if (!Array.isArray(snapshot.systems)) {
+            return fail('corrupted', 'Snapshot has no services list');
+        }
+
+        const registry = new ServiceRegistry(services);
+        let active = 0;
+
+        // Saved bookings fit the services as they were reconfigured
+        for (const { serviceId, changes } of snapshot.reconfigurations || []) {
+            const result = registry.reconfigure(serviceId, changes);
+            if (!result.success) {
+                return fail('version', `A saved change to service "${serviceId}" no longer applies: ${result.message}`);
+            }
+        }
+
+        for (const entry of snapshot.systems) {
+            const service = entry && registry.getService(entry.serviceId);
+            if (!service) {
+                return fail('version', `Saved bookings are for service "${entry && entry.serviceId}", which is not configured`);
+            }
+            if (!ServiceRegistry.isValidDate(entry.date)) {
+                return fail('corrupted', `Saved bookings for ${service.name} have an invalid date`);
+            }
+
+            const key = ServiceRegistry.key(entry.serviceId, entry.date);
+            if (registry.systems.has(key)) {
+                return fail('corrupted', `${service.name} on ${entry.date} is saved twice`);
+            }
+
+            const result = SeatBookingSystem.fromSnapshot(entry.system, ServiceRegistry.configOptions(service));
+            if (!result.success) {
+                return fail(result.reason, `${service.name} on ${entry.date}: ${result.message}`);
+            }
+            if (result.system.numSeats !== service.numSeats || result.system.numStations !== service.numStations) {
+                return fail('version', `${service.name} on ${entry.date} no longer matches the configured seats and stations`);
+            }
+
+            registry.systems.set(key, { serviceId: entry.serviceId, date: entry.date, system: result.system });
+            active += result.system.getActiveBookings();
+        }
+
+        return {
+            success: true,
+            message: `Restored ${active} active booking(s) on ${registry.systems.size} service date(s)`,
+            registry
+        };
+    }
+}
+
+// =========================== PERSISTENCE ============================
+
+/** Bump when the snapshot format changes incompatibly */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Saves and restores the ServiceRegistry in localStorage.
+ *
+ * A snapshot that cannot be restored is kept under a backup key so it
+ * is not lost when the next save overwrites the main key.
+ */
+class BookingStorage {
+    /**
+     * @param {string} key - localStorage key for the snapshot
+     * @param {Storage} storage - Storage backend (default: window.localStorage)
+     */
+    constructor(key = 'seatBookingSystem', storage = BookingStorage.defaultStorage()) {
+        this.key = key;
+        this.backupKey = `${key}.corrupt`;
+        this.storage = storage;
+    }
+
+    /**
+     * Get localStorage if the browser allows access to it
+     * @returns {Storage|null}
+     */
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (e) {
+            // Access throws when storage is disabled (e.g. some private modes)
+            return null;
+        }
+    }
+
+    /**
+     * Save the registry snapshot
+     * @param {ServiceRegistry} registry
+     * @returns {{success: boolean, message: string}}
+     */
+    save(registry) {
+        if (!this.storage) {
+            return { success: false, message: 'Local storage is not available' };
+        }
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(registry.toSnapshot()));
+            return { success: true, message: 'Bookings saved' };
+        } catch (e) {
+            return { success: false, message: `Could not save bookings: ${e.message}` };
+        }
+    }
+
+    /**
+     * Load the saved registry.
+     *
+     * status is 'empty' when nothing was saved, 'restored' on success,
+     * or 'corrupted' / 'version' when the snapshot was rejected.
+     *
+     * @param {Array<Object>} services - Current service definitions
+     * @returns {{status: string, message: string, registry?: ServiceRegistry}}
+     */
+    load(services) {
+        if (!this.storage) {
+            return { status: 'empty', message: 'Local storage is not available' };
+        }
+
+        const raw = this.storage.getItem(this.key);
+        if (raw === null) {
+            return { status: 'empty', message: 'No saved bookings' };
+        }
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(raw);
+        } catch (e) {
+            return this.reject(raw, 'corrupted', 'Saved bookings are not valid JSON');
+        }
+
+        const result = ServiceRegistry.fromSnapshot(snapshot, services);
+        if (!result.success) {
+            return this.reject(raw, result.reason, result.message);
+        }
+
+        return { status: 'restored', message: result.message, registry: result.registry };
+    }
+
+    /**
+     * Move a rejected snapshot to the backup key
+     * @param {string} raw - Raw stored value
+     * @param {string} status - Rejection reason
+     * @param {string} message - Human-readable explanation
+     */
+    reject(raw, status, message) {
+        try {
+            this.storage.setItem(this.backupKey, raw);
+            this.storage.removeItem(this.key);
+        } catch (e) {
+            // Keep going: reporting the problem matters more than the backup
+        }
+        return { status, message: `${message}. The old data was kept under "${this.backupKey}".` };
+    }
+
+    /**
+     * Remove the saved snapshot
+     */
+    clear() {
+        if (this.storage) this.storage.removeItem(this.key);
+    }
+}
+
+// ===================== BOOKING IMPORT / EXPORT ======================
+
+// Columns of exported CSV files; imports need seat, from and to, in any order
+const BOOKING_COLUMNS = ['pnr', 'seat', 'from', 'to', 'status', 'timestamp', 'name', 'age', 'contact', 'fare'];
+
+// Columns of exported passenger charts; event is 'board', 'alight' or 'vacant'
+const CHART_COLUMNS = ['station', 'event', 'seat', 'pnr', 'from', 'to', 'status', 'name', 'age', 'contact'];
+
+/**
+ * Write every booking of a system (active, cancelled and replaced) as
+ * CSV or JSON. Seats are written as layout labels and stations as codes,
+ * or 1-based numbers without a route, so the file can be imported into
+ * a system with the same layout and route.
+ *
+ * @param {SeatBookingSystem} system
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+function exportBookings(system, format = 'csv') {
+    const records = system.bookings.map(b => ({
+        pnr: b.pnr,
+        seat: system.seatLabel(b.seatId),
+        from: system.route.shortLabel(b.from),
+        to: system.route.shortLabel(b.to),
+        status: b.active ? b.status : (b.replacedBy ? 'REPLACED' : 'CANCELLED'),
+        timestamp: b.timestamp.toISOString(),
+        passenger: b.passenger,
+        fare: b.fare ? b.fare.total : null
+    }));
+
+    if (format === 'json') {
+        return JSON.stringify(records, null, 2);
+    }
+
+    const lines = records.map(({ passenger, ...record }) => {
+        const values = { ...record, ...(passenger || {}) };
+        return BOOKING_COLUMNS.map(column => csvField(values[column])).join(',');
+    });
+    return [BOOKING_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Passenger chart (see getStationChart) with seat labels and station
+ * codes, or 1-based numbers without a route, in place of indices
+ *
+ * @param {SeatBookingSystem} system
+ * @returns {Object[]} One {station, name, boarding, alighting, vacant, freed} per station
+ */
+function stationChartRecords(system) {
+    const route = system.route;
+    const passenger = b => ({
+        pnr: b.pnr,
+        seat: system.seatLabel(b.seatId),
+        from: route.shortLabel(b.from),
+        to: route.shortLabel(b.to),
+        status: b.status,
+        passenger: b.passenger
+    });
+    return system.getStationChart().map(entry => ({
+        station: route.shortLabel(entry.station),
+        name: route.stations[entry.station].name,
+        boarding: entry.boarding.map(passenger),
+        alighting: entry.alighting.map(passenger),
+        vacant: entry.vacant.map(id => system.seatLabel(id)),
+        freed: entry.freed.map(id => system.seatLabel(id))
+    }));
+}
+
+/**
+ * Write the passenger chart as CSV or JSON.
+ *
+ * CSV has one row per passenger boarding or alighting, in station order,
+ * and a 'vacant' row for each seat at the station where it becomes free
+ * for the rest of the route. JSON is stationChartRecords(), which also
+ * lists every seat vacant from each station.
+ *
+ * @param {SeatBookingSystem} system
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+function exportStationChart(system, format = 'csv') {
+    const chart = stationChartRecords(system);
+
+    if (format === 'json') {
+        return JSON.stringify(chart, null, 2);
+    }
+
+    const lines = [];
+    const add = (station, event, record) => {
+        const values = { station, event, ...record, ...(record.passenger || {}) };
+        lines.push(CHART_COLUMNS.map(column => csvField(values[column])).join(','));
+    };
+    chart.forEach(entry => {
+        entry.alighting.forEach(record => add(entry.station, 'alight', record));
+        entry.boarding.forEach(record => add(entry.station, 'board', record));
+        entry.freed.forEach(seat => add(entry.station, 'vacant', { seat }));
+    });
+    return [CHART_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Read booking rows from a CSV or JSON file, such as one written by
+ * exportBookings(). CSV needs a header row naming its columns; JSON is an
+ * array of objects whose passenger details are flat or under "passenger".
+ * Rows are only read here, not checked: importBookings() reports bad ones.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'csv', 'json', or 'auto' to go by the first character
+ * @returns {{success: boolean, message: string, rows?: Object[], reason?: string}}
+ *     Rows are {line, pnr, seat, from, to, status, name, age, contact} as strings;
+ *     line is the row's line in a CSV file or its position in a JSON array
+ */
+function parseBookings(text, format = 'auto') {
+    const fail = message => ({ success: false, reason: 'invalid', message });
+    const source = String(text).replace(/^\uFEFF/, '');
+    const type = format === 'auto' ? (/^\s*[[{]/.test(source) ? 'json' : 'csv') : format;
+
+    let rows;
+    if (type === 'json') {
+        let records;
+        try {
+            records = JSON.parse(source);
+        } catch (e) {
+            return fail(`Not valid JSON: ${e.message}`);
+        }
+        if (!Array.isArray(records)) return fail('JSON must be an array of bookings');
+
+        rows = records.map((record, i) => bookingRow(i + 1, record && typeof record === 'object' ? record : {}));
+    } else if (type === 'csv') {
+        const parsed = parseCsv(source);
+        if (parsed.error) return fail(parsed.error);
+
+        const [header, ...data] = parsed.rows;
+        if (!header) return fail('The file is empty');
+        const columns = header.fields.map(name => name.trim().toLowerCase());
+        const missing = ['seat', 'from', 'to'].filter(column => !columns.includes(column));
+        if (missing.length > 0) return fail(`CSV header has no ${missing.join(', ')} column`);
+
+        rows = data.map(row => {
+            const record = {};
+            columns.forEach((column, i) => {
+                record[column] = row.fields[i];
+            });
+            return bookingRow(row.line, record);
+        });
+    } else {
+        return fail(`Unknown format "${format}" (use csv or json)`);
+    }
+
+    if (rows.length === 0) return fail('The file has no bookings');
+    return { success: true, message: `Read ${rows.length} booking row(s)`, rows };
+}
+
+/**
+ * Pick the fields of one imported record
+ * @param {number} line - Position of the record in its file
+ * @param {Object} record - Parsed record
+ * @returns {Object} Row for importBookings()
+ */
+function bookingRow(line, record) {
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+    const passenger = record.passenger && typeof record.passenger === 'object' ? record.passenger : record;
+    return {
+        line,
+        pnr: text(record.pnr),
+        seat: text(record.seat),
+        from: text(record.from),
+        to: text(record.to),
+        status: text(record.status).toUpperCase(),
+        name: text(passenger.name),
+        age: text(passenger.age),
+        contact: text(passenger.contact)
+    };
+}
+
+/**
+ * Quote a CSV field if it holds a comma, a quote or a line break
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may hold commas,
+ * line breaks and doubled quotes; blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {{rows?: Array<{line: number, fields: string[]}>, error?: string}}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.some(f => f.trim() !== '')) rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                if (c === '\n') line++;
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += c;
+        }
+    }
+
+    if (quoted) return { error: `Line ${rowLine}: a quoted field is never closed` };
+    endRow();
+    return { rows };
+}
+
+// ============================= REPORTS ==============================
+
+/**
+ * Occupancy and revenue reports. Each one is a table of plain rows with
+ * a column to chart; build() returns the rows and a one-line summary.
+ * Revenue columns are empty for services without fares.
+ */
+const REPORTS = {
+    'seat-utilisation': {
+        title: 'Seat-km utilisation per seat',
+        columns: ['seat', 'booked_km', 'route_km', 'utilisation', 'revenue'],
+        chart: { label: 'seat', value: 'utilisation', unit: '%' },
+        build: seatUtilisationReport
+    },
+    'segment-occupancy': {
+        title: 'Occupancy per segment',
+        columns: ['segment', 'km', 'passengers', 'seats', 'occupancy'],
+        chart: { label: 'segment', value: 'occupancy', unit: '%' },
+        build: segmentOccupancyReport
+    },
+    'cancellations': {
+        title: 'Cancellation rate',
+        columns: ['outcome', 'pnrs', 'share'],
+        chart: { label: 'outcome', value: 'pnrs', unit: '' },
+        build: cancellationReport
+    },
+    'od-pairs': {
+        title: 'Bookings per origin-destination pair',
+        columns: ['pair', 'from', 'to', 'bookings', 'km', 'revenue'],
+        chart: { label: 'pair', value: 'bookings', unit: '' },
+        build: originDestinationReport
+    },
+    'idle-gaps': {
+        title: 'Longest idle stretch per seat',
+        columns: ['seat', 'from', 'to', 'km', 'gaps'],
+        chart: { label: 'seat', value: 'km', unit: ' km' },
+        build: idleGapReport
+    }
+};
+
+/**
+ * Build one of the REPORTS for a system
+ * @param {SeatBookingSystem} system
+ * @param {string} id - Key of REPORTS, e.g. 'od-pairs'
+ * @returns {{success: boolean, message: string, id?: string, title?: string, columns?: string[],
+ *     rows?: Object[], chart?: {label: string, value: string, unit: string}, reason?: string}}
+ *     message is the report's summary
+ */
+function buildReport(system, id) {
+    const report = REPORTS[id];
+    if (!report) {
+        return {
+            success: false,
+            reason: 'invalid',
+            message: `Unknown report "${id}"; choose from ${Object.keys(REPORTS).join(', ')}`
+        };
+    }
+
+    const { rows, summary } = report.build(system);
+    return { success: true, message: summary, id, title: report.title, columns: report.columns, rows, chart: report.chart };
+}
+
+/**
+ * Write a report from buildReport() as CSV
+ * @param {Object} report
+ * @returns {string} File contents
+ */
+function exportReport(report) {
+    const lines = report.rows.map(row => report.columns.map(column => csvField(row[column])).join(','));
+    return [report.columns.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Share of a whole as a percentage with one decimal
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number} 0 when the whole is 0
+ */
+function percent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+/**
+ * Distance booked on each seat out of the whole route. Overlapping RAC
+ * bookings on one seat count their shared stretch once.
+ * @param {SeatBookingSystem} system
+ * @returns {{rows: Object[], summary: string}}
+ */
+function seatUtilisationReport(system) {
+    const route = system.route;
+    const routeKm = route.distance(0, system.numSegments);
+    const bySeat = system.seats.map(() => []);
+    system.bookings.filter(b => b.active).forEach(b => bySeat[b.seatId].push(b));
+
+    let totalKm = 0;
+    const rows = bySeat.map((bookings, seatId) => {
+        // Merge the booked stretches, sorted by start, and add up their length
+        let bookedKm = 0;
+        let end = -1;
+        let start = -1;
+        bookings.sort((a, b) => a.from - b.from).forEach(b => {
+            if (b.from > end) {
+                if (end > start) bookedKm += route.distance(start, end);
+                start = b.from;
+            }
+            end = Math.max(end, b.to);
+        });
+        if (end > start) bookedKm += route.distance(start, end);
+
+        totalKm += bookedKm;
+        return {
+            seat: system.seatLabel(seatId),
+            booked_km: bookedKm,
+            route_km: routeKm,
+            utilisation: percent(bookedKm, routeKm),
+            revenue: system.fares
+                ? FareCalculator.round(bookings.reduce((sum, b) => sum + (b.fare ? b.fare.total : 0), 0))
+                : null
+        };
+    });
+
+    return {
+        rows,
+        summary: `Seats are booked for ${percent(totalKm, routeKm * system.numSeats)}% of the seat-km on the route`
+    };
+}
+
+/**
+ * Passengers on each segment from the global tree, as a share of the
+ * seats. RAC passengers share seats, so a segment can pass 100%.
+ * @param {SeatBookingSystem} system
+ * @returns {{rows: Object[], summary: string}}
+ */
+function segmentOccupancyReport(system) {
+    const route = system.route;
+    const rows = system.getSegmentLoads().map((passengers, i) => ({
+        segment: system.stretchText(i, i + 1),
+        km: route.distance(i, i + 1),
+        passengers,
+        seats: system.numSeats,
+        occupancy: percent(passengers, system.numSeats)
+    }));
+
+    // Average weighted by distance, so long segments count for more
+    const passengerKm = rows.reduce((sum, row) => sum + row.passengers * row.km, 0);
+    const average = percent(passengerKm, system.numSeats * route.distance(0, system.numSegments));
+    const peak = system.getPeakLoad();
+    return {
+        rows,
+        summary: peak.load > 0
+            ? `Average occupancy ${average}%, peak ${rows[peak.segment].occupancy}% on ${rows[peak.segment].segment}`
+            : 'No passengers booked yet'
+    };
+}
+
+/**
+ * Every PNR by what became of it: confirmed, RAC, waitlisted or
+ * cancelled. A PNR with any active booking counts as travelling, even
+ * if part of its journey was cancelled.
+ * @param {SeatBookingSystem} system
+ * @returns {{rows: Object[], summary: string}}
+ */
+function cancellationReport(system) {
+    const outcomes = new Map();
+    system.bookings.forEach(b => {
+        const outcome = !b.active ? 'Cancelled' : b.status === 'RAC' ? 'RAC' : 'Confirmed';
+        const previous = outcomes.get(b.pnr);
+        // An active record outranks the cancelled and replaced ones
+        if (!previous || previous === 'Cancelled' || outcome === 'Confirmed') outcomes.set(b.pnr, outcome);
+    });
+    system.waitlist.forEach(e => {
+        if (e.status === 'WL') outcomes.set(e.pnr, 'Waitlisted');
+        else if (!outcomes.has(e.pnr)) outcomes.set(e.pnr, 'Cancelled');
+    });
+
+    const total = outcomes.size;
+    const counts = [...outcomes.values()];
+    const rows = ['Confirmed', 'RAC', 'Waitlisted', 'Cancelled'].map(outcome => {
+        const pnrs = counts.filter(o => o === outcome).length;
+        return { outcome, pnrs, share: percent(pnrs, total) };
+    });
+
+    const cancelled = rows[rows.length - 1];
+    return {
+        rows,
+        summary: `Cancellation rate ${cancelled.share}% (${cancelled.pnrs} of ${total} PNR(s))`
+    };
+}
+
+/**
+ * Active bookings grouped by the stations they run between, busiest
+ * pair first
+ * @param {SeatBookingSystem} system
+ * @returns {{rows: Object[], summary: string}}
+ */
+function originDestinationReport(system) {
+    const route = system.route;
+    const pairs = new Map();
+    system.bookings.filter(b => b.active).forEach(b => {
+        const key = `${b.from}-${b.to}`;
+        if (!pairs.has(key)) {
+            pairs.set(key, {
+                pair: system.stretchText(b.from, b.to),
+                from: route.shortLabel(b.from),
+                to: route.shortLabel(b.to),
+                bookings: 0,
+                km: route.distance(b.from, b.to),
+                revenue: system.fares ? 0 : null,
+                start: b.from
+            });
+        }
+        const row = pairs.get(key);
+        row.bookings++;
+        if (system.fares && b.fare) row.revenue = FareCalculator.round(row.revenue + b.fare.total);
+    });
+
+    const rows = [...pairs.values()]
+        .sort((a, b) => b.bookings - a.bookings || a.start - b.start || a.km - b.km)
+        .map(({ start, ...row }) => row);
+    return {
+        rows,
+        summary: rows.length > 0
+            ? `${rows.length} origin-destination pair(s); busiest ${rows[0].pair} with ${rows[0].bookings} booking(s)`
+            : 'No active bookings'
+    };
+}
+
+/**
+ * The longest stretch each seat stands free, from the free seat index.
+ * Held stretches count as taken.
+ * @param {SeatBookingSystem} system
+ * @returns {{rows: Object[], summary: string}}
+ */
+function idleGapReport(system) {
+    const route = system.route;
+    let longest = null;
+    const rows = system.seats.map((tree, seatId) => {
+        const gaps = system.freeIndex.gaps[seatId];
+        let best = null;
+        gaps.forEach(([a, b]) => {
+            if (!best || route.distance(a, b) > route.distance(best[0], best[1])) best = [a, b];
+        });
+
+        const row = {
+            seat: system.seatLabel(seatId),
+            from: best ? route.shortLabel(best[0]) : null,
+            to: best ? route.shortLabel(best[1]) : null,
+            km: best ? route.distance(best[0], best[1]) : 0,
+            gaps: gaps.length
+        };
+        if (best && (!longest || row.km > longest.km)) longest = row;
+        return row;
+    });
+
+    return {
+        rows,
+        summary: longest
+            ? `Longest idle stretch: seat ${longest.seat}, ${longest.from}-${longest.to} (${longest.km} km)`
+            : 'Every seat is taken for the whole route'
+    };
+}
+
+// ============================= EXPORTS ==============================
+
+// Node (the CLI, scripts) loads this file as a module; browsers load it as
+// a plain script before index.js and use the classes as globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SegmentTree,
+        FreeSeatIndex,
+        Route,
+        Layout,
+        FareCalculator,
+        SeatBookingSystem,
+        OperationJournal,
+        describeEvent,
+        validatePassenger,
+        normalizePassenger,
+        ALLOCATION_STRATEGIES,
+        ServiceRegistry,
+        BookingStorage,
+        SNAPSHOT_VERSION,
+        REGISTRY_VERSION,
+        DEFAULT_HOLD_TTL,
+        BOOKING_COLUMNS,
+        exportBookings,
+        parseBookings,
+        stationChartRecords,
+        exportStationChart,
+        REPORTS,
+        buildReport,
+        exportReport
+    };
+}
@@ -0,0 +1,1133 @@
+#!/usr/bin/env node
+/**
+ * ===================================================================
+ * Seat Booking System - Command-Line Shell
+ * ===================================================================
+ *
+ * Drives a SeatBookingSystem from booking-core.js without a browser,
+ * either interactively or from a file of commands (one per line, "#"
+ * starts a comment) for reproducible scenarios.
+ *
+ *   node cli.js                          Interactive shell
+ *   node cli.js scenarios/basic.txt      Run a batch file
+ *   node cli.js --seats 40 --stations 12
+ *   node cli.js --routes routes.json --route MMCT-ADI
+ *   node cli.js --benchmark [10000x500]  Time the free seat index
+ *   node cli.js --fuzz [5000] [--seed N] Check random operations against a simple model
+ *
+ * Seats and stations are numbered from 1, as in the app's messages.
+ * A seat can also be given by its layout label (B1-5) and a station
+ * by its code (BRC) when a layout or route is loaded.
+ *
+ * ===================================================================
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { performance } = require('perf_hooks');
+const {
+    SeatBookingSystem, Route, Layout, DEFAULT_HOLD_TTL, exportBookings, parseBookings, exportStationChart,
+    REPORTS, buildReport, exportReport
+} = require('./booking-core');
+
+const HELP = `Commands:
+  book <seat> <from> <to> [name]   Book a seat
+  book any <from> <to> [name]      Book any free seat, or join the waitlist
+  cancel <seat> <from> <to>        Cancel all or part of a booking
+  cancel <pnr>                     Cancel a booking by PNR
+  move <pnr> <seat> [<from> <to>]  Move a booking to another seat or journey
+  move <pnr> <from> <to>           Change a booking's journey, keeping its seat
+  query <from> <to>                List free seats for a journey
+  split <from> <to>                Plan a journey with seat changes when no seat is free all the way
+  split book <from> <to> [name]    Book the planned legs under one PNR
+  status [seat]                    Summary, or one seat's bookings
+  load [<from> <to>]               Seats booked per segment
+  chart [station]                  Who boards and alights, and seats vacant to the end
+  chart export csv|json [file]     Write the passenger chart to a file or the screen
+  report [name]                    List the reports, or show one as a table
+  report <name> csv [file]         Write a report as CSV to a file or the screen
+  lookup <pnr>                     Show a booking
+  hold <seat> <from> <to> [secs]   Hold a seat (default 300 seconds)
+  confirm <hold> [name]            Book a held seat
+  release <hold>                   Release a hold
+  export csv|json [file]           Write all bookings to a file or the screen
+  import [--dry-run] <file>        Book the rows of a CSV or JSON file
+  seats add <n>                    Add seats at the end
+  seats remove <seat>...           Remove seats with no booking or hold
+  stations add start|end <n>       Add stations to a route without codes
+  stations add start|end <code> <km> <name>  Add a station, km from the current origin
+  undo | redo                      Step through the journal
+  verify                           Check the trees and free seat index against the bookings
+  help                             Show this list
+  exit                             Leave the shell`;
+
+// ========================= ARGUMENT PARSING =========================
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{options: Object, script: string|null, error?: string}}
+ */
+function parseArgs(argv) {
+    const options = { seats: 24, stations: 10, seatsPerRow: 8, rac: [] };
+    let script = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--seats':
+            case '--stations':
+            case '--seats-per-row': {
+                const n = parseInt(value);
+                if (!Number.isInteger(n) || n < 1) {
+                    return { options, script, error: `${arg} needs a positive number` };
+                }
+                options[arg === '--seats-per-row' ? 'seatsPerRow' : arg.slice(2)] = n;
+                i++;
+                break;
+            }
+            case '--rac':
+                options.rac = String(value).split(',').map(n => parseInt(n) - 1);
+                i++;
+                break;
+            case '--routes':
+            case '--route':
+            case '--layouts':
+            case '--layout':
+                if (!value) return { options, script, error: `${arg} needs a value` };
+                options[arg.slice(2)] = value;
+                i++;
+                break;
+            case '--benchmark':
+                // Optional size as SEATSxSTATIONS
+                options.benchmark = /^\d+x\d+$/.test(value || '') ? argv[++i] : '10000x500';
+                break;
+            case '--fuzz':
+                // Optional number of operations
+                options.fuzz = /^\d+$/.test(value || '') ? parseInt(argv[++i]) : 5000;
+                break;
+            case '--seed': {
+                const n = parseInt(value);
+                if (!Number.isInteger(n) || n < 1) {
+                    return { options, script, error: '--seed needs a positive number' };
+                }
+                options.seed = n;
+                i++;
+                break;
+            }
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || script) {
+                    return { options, script, error: `Unknown argument: ${arg}` };
+                }
+                script = arg;
+        }
+    }
+    return { options, script };
+}
+
+/**
+ * Read one definition from a routes or layouts file
+ * @param {string} file - JSON file path
+ * @param {string} section - 'routes' or 'layouts'
+ * @param {string} id - Definition id
+ * @param {Function} build - Route.fromConfig or Layout.fromConfig
+ * @returns {{success: boolean, message: string, route?: Route, layout?: Layout}}
+ */
+function loadDefinition(file, section, id, build) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return { success: false, message: `Could not read ${file}: ${e.message}` };
+    }
+    const definition = (config[section] || {})[id];
+    if (!definition) {
+        return { success: false, message: `${file} has no ${section} entry "${id}"` };
+    }
+    return build(definition);
+}
+
+/**
+ * Create the booking system described by the options
+ * @param {Object} options - Output of parseArgs()
+ * @returns {{system?: SeatBookingSystem, error?: string}}
+ */
+function createSystem(options) {
+    let route;
+    let layout;
+
+    if (options.route) {
+        const result = loadDefinition(options.routes || 'routes.json', 'routes', options.route, Route.fromConfig);
+        if (!result.success) return { error: result.message };
+        route = result.route;
+    }
+    if (options.layout) {
+        const result = loadDefinition(options.layouts || 'layouts.json', 'layouts', options.layout, Layout.fromConfig);
+        if (!result.success) return { error: result.message };
+        layout = result.layout;
+    }
+
+    const numSeats = layout ? layout.numSeats : options.seats;
+    const numStations = route ? route.numStations : options.stations;
+    const system = new SeatBookingSystem(numSeats, numStations, {
+        seatsPerRow: options.seatsPerRow,
+        racSeats: layout ? undefined : options.rac,
+        layout,
+        route
+    });
+    return { system };
+}
+
+// ============================== SHELL ===============================
+
+/**
+ * Runs shell commands against one booking system
+ */
+class BookingShell {
+    /**
+     * @param {SeatBookingSystem} system
+     * @param {Function} write - Output function (default: console.log)
+     */
+    constructor(system, write = console.log) {
+        this.system = system;
+        this.write = write;
+    }
+
+    /**
+     * Run one command line.
+     *
+     * A booking that the system refuses (e.g. a taken seat) is a normal
+     * result; only unknown commands and bad arguments count as errors.
+     *
+     * @param {string} line - Command text
+     * @returns {{ok: boolean, exit?: boolean}}
+     */
+    run(line) {
+        const [command, ...args] = line.trim().split(/\s+/);
+        if (!command || command.startsWith('#')) return { ok: true };
+
+        this.system.expireHolds().forEach(h => {
+            this.write(`Hold ${h.id} on seat ${this.system.seatLabel(h.seatId)} expired`);
+        });
+
+        switch (command.toLowerCase()) {
+            case 'book': return this.book(args);
+            case 'cancel': return this.cancel(args);
+            case 'move': return this.move(args);
+            case 'query': return this.query(args);
+            case 'split': return this.split(args);
+            case 'status': return this.status(args);
+            case 'load': return this.load(args);
+            case 'chart': return this.chart(args);
+            case 'report': return this.showReport(args);
+            case 'lookup': return this.lookup(args);
+            case 'hold': return this.hold(args);
+            case 'confirm': return this.confirm(args);
+            case 'export': return this.exportFile(args);
+            case 'import': return this.importFile(args);
+            case 'seats': return this.seats(args);
+            case 'stations': return this.stations(args);
+            case 'release':
+                if (args.length !== 1) return this.usage('release <hold>');
+                return this.report(this.system.releaseHold(Number(args[0])));
+            case 'undo':
+            case 'redo':
+                return this.report(this.system[command.toLowerCase()]());
+            case 'verify': {
+                const result = this.system.verify();
+                this.write(result.message);
+                result.problems.slice(1).forEach(p => this.write(`  ${p.message}`));
+                return { ok: true };
+            }
+            case 'help':
+                this.write(HELP);
+                return { ok: true };
+            case 'exit':
+            case 'quit':
+                return { ok: true, exit: true };
+            default:
+                return this.usage(`Unknown command "${command}". Type "help" for the list.`);
+        }
+    }
+
+    /**
+     * Print a usage error
+     * @param {string} message
+     * @returns {{ok: boolean}}
+     */
+    usage(message) {
+        this.write(`Error: ${message}`);
+        return { ok: false };
+    }
+
+    /**
+     * Print a system result, with any waitlist changes it caused
+     * @param {{success: boolean, message: string, promotions?: string[]}} result
+     * @returns {{ok: boolean}}
+     */
+    report(result) {
+        this.write(result.success ? result.message : `Failed: ${result.message}`);
+        (result.promotions || []).forEach(message => this.write(`  Waitlist: ${message}`));
+        return { ok: true };
+    }
+
+    /**
+     * Parse a from/to station pair
+     * @param {string[]} tokens - Two station tokens
+     * @returns {{l: number, r: number}|null}
+     */
+    parseRange(tokens) {
+        const l = this.system.stationIndex(tokens[0]);
+        const r = this.system.stationIndex(tokens[1]);
+        return l === -1 || r === -1 ? null : { l, r };
+    }
+
+    /**
+     * book <seat> <from> <to> [name]
+     */
+    book(args) {
+        if (args.length < 3) return this.usage('book <seat> <from> <to> [name]');
+        if (args[0].toLowerCase() === 'any') {
+            const range = this.parseRange(args.slice(1, 3));
+            if (!range) return this.usage(`Unknown station in "${args[1]} ${args[2]}"`);
+            const name = args.slice(3).join(' ');
+            return this.report(this.system.bookOrWaitlist(range.l, range.r, name ? { name } : null));
+        }
+
+        const seatId = this.system.seatIndex(args[0]);
+        const range = this.parseRange(args.slice(1, 3));
+        if (seatId === -1) return this.usage(`Unknown seat "${args[0]}"`);
+        if (!range) return this.usage(`Unknown station in "${args[1]} ${args[2]}"`);
+
+        const name = args.slice(3).join(' ');
+        return this.report(this.system.book(seatId, range.l, range.r, name ? { name } : null));
+    }
+
+    /**
+     * cancel <seat> <from> <to>, or cancel <pnr>
+     */
+    cancel(args) {
+        if (args.length === 1) return this.report(this.system.cancelByPnr(args[0]));
+        if (args.length !== 3) return this.usage('cancel <seat> <from> <to>, or cancel <pnr>');
+
+        const seatId = this.system.seatIndex(args[0]);
+        const range = this.parseRange(args.slice(1));
+        if (seatId === -1) return this.usage(`Unknown seat "${args[0]}"`);
+        if (!range) return this.usage(`Unknown station in "${args[1]} ${args[2]}"`);
+
+        return this.report(this.system.cancel(seatId, range.l, range.r));
+    }
+
+    /**
+     * move <pnr> <seat> [<from> <to>], or move <pnr> <from> <to>
+     */
+    move(args) {
+        if (args.length < 2 || args.length > 4) {
+            return this.usage('move <pnr> <seat> [<from> <to>], or move <pnr> <from> <to>');
+        }
+
+        const changes = {};
+        if (args.length !== 3) {
+            changes.seat = this.system.seatIndex(args[1]);
+            if (changes.seat === -1) return this.usage(`Unknown seat "${args[1]}"`);
+        }
+        if (args.length > 2) {
+            const range = this.parseRange(args.slice(-2));
+            if (!range) return this.usage(`Unknown station in "${args.slice(-2).join(' ')}"`);
+            changes.from = range.l;
+            changes.to = range.r;
+        }
+
+        return this.report(this.system.modifyBooking(args[0], changes));
+    }
+
+    /**
+     * query <from> <to>
+     */
+    query(args) {
+        const range = args.length === 2 && this.parseRange(args);
+        if (!range) return this.usage('query <from> <to>');
+
+        const result = this.system.queryAvailable(range.l, range.r);
+        this.write(result.message);
+        if (result.available.length > 0) {
+            this.write(`  ${result.available.map(id => this.system.seatLabel(id)).join(' ')}`);
+        } else {
+            const plan = this.system.planSplitJourney(range.l, range.r);
+            if (plan.success) this.write(`  With seat changes: ${plan.message} (split book ${args.join(' ')})`);
+        }
+        return { ok: true };
+    }
+
+    /**
+     * split <from> <to>, or split book <from> <to> [name]
+     */
+    split(args) {
+        const booking = args[0] === 'book';
+        const rest = booking ? args.slice(1) : args;
+        const range = rest.length >= 2 && (booking || rest.length === 2) && this.parseRange(rest.slice(0, 2));
+        if (!range) return this.usage('split <from> <to>, or split book <from> <to> [name]');
+
+        const plan = this.system.planSplitJourney(range.l, range.r);
+        if (!plan.success || !booking) {
+            this.write(plan.success ? plan.message : `Failed: ${plan.message}`);
+            plan.legs.forEach(leg => {
+                this.write(`  Seat ${this.system.seatLabel(leg.seatId)} ${this.system.journeyText(leg.from, leg.to)}`);
+            });
+            return { ok: true };
+        }
+
+        const name = rest.slice(2).join(' ');
+        return this.report(this.system.bookSplitJourney(plan.legs, name ? { name } : null));
+    }
+
+    /**
+     * status, or status <seat>
+     */
+    status(args) {
+        const system = this.system;
+
+        if (args.length === 0) {
+            const queued = system.waitlist.filter(e => e.status === 'WL' || e.status === 'RAC').length;
+            const counts = { available: 0, partial: 0, booked: 0 };
+            for (let i = 0; i < system.numSeats; i++) counts[system.getSeatStatus(i)]++;
+
+            this.write(`${system.numSeats} seats, ${system.numStations} stations`);
+            this.write(`Seats: ${counts.available} free, ${counts.partial} partly booked, ${counts.booked} fully booked`);
+            this.write(`Active bookings: ${system.getActiveBookings()}, RAC / waitlist: ${queued}, holds: ${system.holds.length}`);
+            this.write(`Journal: ${system.journal.cursor} of ${system.journal.events.length} event(s) applied`);
+            return { ok: true };
+        }
+
+        const seatId = this.system.seatIndex(args[0]);
+        if (seatId === -1) return this.usage(`Unknown seat "${args[0]}"`);
+
+        const active = system.bookings.filter(b => b.seatId === seatId && b.active);
+        this.write(`Seat ${system.seatLabel(seatId)}: ${system.getSeatStatus(seatId)}`);
+        active.forEach(b => {
+            this.write(`  PNR ${b.pnr} ${system.journeyText(b.from, b.to)} (${b.status})`);
+        });
+        system.holds.filter(h => h.seatId === seatId).forEach(h => {
+            this.write(`  Hold ${h.id} ${system.journeyText(h.from, h.to)} until ${h.expiresAt.toTimeString().slice(0, 8)}`);
+        });
+        return { ok: true };
+    }
+
+    /**
+     * load, or load <from> <to>
+     */
+    load(args) {
+        const system = this.system;
+
+        if (args.length === 2) {
+            const range = this.parseRange(args);
+            if (!range) return this.usage('load <from> <to>');
+            const peak = system.getPeakLoad(range.l, range.r);
+            if (peak.segment === -1) return this.usage('The first station must come before the second');
+            this.write(`Max load ${system.journeyText(range.l, range.r)}: ${peak.load} seat(s) on ${system.stretchText(peak.segment, peak.segment + 1)}`);
+            return { ok: true };
+        }
+        if (args.length !== 0) return this.usage('load [<from> <to>]');
+
+        system.getSegmentLoads().forEach((load, i) => {
+            const bar = '#'.repeat(Math.round((load / system.numSeats) * 20));
+            this.write(`  ${system.stretchText(i, i + 1).padEnd(12)} ${String(load).padStart(4)} ${bar}`);
+        });
+        const peak = system.getPeakLoad();
+        this.write(`Peak: ${peak.load} seat(s) on ${system.stretchText(peak.segment, peak.segment + 1)}`);
+        return { ok: true };
+    }
+
+    /**
+     * report, report <name>, or report <name> csv [file]
+     */
+    showReport(args) {
+        if (args.length === 0) {
+            Object.entries(REPORTS).forEach(([id, report]) => this.write(`  ${id.padEnd(18)} ${report.title}`));
+            return { ok: true };
+        }
+
+        const csv = args[1] && args[1].toLowerCase() === 'csv';
+        if (args.length > 3 || (args.length > 1 && !csv)) return this.usage('report [name], or report <name> csv [file]');
+
+        const report = buildReport(this.system, args[0]);
+        if (!report.success) return this.usage(report.message);
+        if (csv) return this.output(exportReport(report), args[2], `Wrote the ${args[0]} report to ${args[2]}`);
+
+        // Table with each column as wide as its longest value
+        const text = value => (value === null || value === undefined ? '-' : String(value));
+        const widths = report.columns.map(column =>
+            Math.max(column.length, ...report.rows.map(row => text(row[column]).length)));
+        const line = values => `  ${values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()}`;
+
+        this.write(`${report.title}: ${report.message}`);
+        this.write(line(report.columns));
+        report.rows.forEach(row => this.write(line(report.columns.map(column => text(row[column])))));
+        return { ok: true };
+    }
+
+    /**
+     * chart, chart <station>, or chart export csv|json [file]
+     */
+    chart(args) {
+        const system = this.system;
+
+        if (args[0] === 'export') {
+            const format = String(args[1]).toLowerCase();
+            if (args.length < 2 || args.length > 3 || !['csv', 'json'].includes(format)) {
+                return this.usage('chart export csv|json [file]');
+            }
+            return this.output(exportStationChart(system, format), args[2], `Exported the passenger chart to ${args[2]}`);
+        }
+        if (args.length > 1) return this.usage('chart [station], or chart export csv|json [file]');
+
+        let chart = system.getStationChart();
+        if (args.length === 1) {
+            const station = system.stationIndex(args[0]);
+            if (station === -1) return this.usage(`Unknown station "${args[0]}"`);
+            chart = [chart[station]];
+        }
+
+        const describe = b => `seat ${system.seatLabel(b.seatId)} PNR ${b.pnr} ${system.stretchText(b.from, b.to)}` +
+            `${b.status === 'RAC' ? ' (RAC)' : ''}${b.passenger ? ` ${b.passenger.name}` : ''}`;
+        chart.forEach(entry => {
+            this.write(`${system.route.label(entry.station)}: ${entry.boarding.length} boarding, ${entry.alighting.length} alighting`);
+            entry.alighting.forEach(b => this.write(`  Off: ${describe(b)}`));
+            entry.boarding.forEach(b => this.write(`  On:  ${describe(b)}`));
+            if (entry.station === system.numSegments) return;
+
+            const seats = ids => ids.map(id => system.seatLabel(id)).join(' ');
+            this.write(`  Vacant to the end: ${entry.vacant.length > 0 ? seats(entry.vacant) : 'none'}`);
+            if (entry.station > 0 && entry.freed.length > 0) this.write(`  Newly vacant: ${seats(entry.freed)}`);
+        });
+        return { ok: true };
+    }
+
+    /**
+     * hold <seat> <from> <to> [seconds]
+     */
+    hold(args) {
+        if (args.length < 3 || args.length > 4) return this.usage('hold <seat> <from> <to> [seconds]');
+
+        const seatId = this.system.seatIndex(args[0]);
+        const range = this.parseRange(args.slice(1, 3));
+        if (seatId === -1) return this.usage(`Unknown seat "${args[0]}"`);
+        if (!range) return this.usage(`Unknown station in "${args[1]} ${args[2]}"`);
+
+        const seconds = args.length === 4 ? Number(args[3]) : DEFAULT_HOLD_TTL / 1000;
+        if (!(seconds > 0)) return this.usage('The hold time must be a positive number of seconds');
+
+        return this.report(this.system.hold(seatId, range.l, range.r, seconds * 1000));
+    }
+
+    /**
+     * confirm <hold> [name]
+     */
+    confirm(args) {
+        if (args.length < 1) return this.usage('confirm <hold> [name]');
+
+        const name = args.slice(1).join(' ');
+        return this.report(this.system.confirmHold(Number(args[0]), name ? { name } : null));
+    }
+
+    /**
+     * export csv|json [file]
+     */
+    exportFile(args) {
+        const format = String(args[0]).toLowerCase();
+        if (args.length < 1 || args.length > 2 || !['csv', 'json'].includes(format)) {
+            return this.usage('export csv|json [file]');
+        }
+
+        const text = exportBookings(this.system, format);
+        return this.output(text, args[1], `Exported ${this.system.bookings.length} booking(s) to ${args[1]}`);
+    }
+
+    /**
+     * Print text, or write it to a file
+     * @param {string} text
+     * @param {string|undefined} file - Path; omit to print
+     * @param {string} message - Shown once the file is written
+     * @returns {{ok: boolean}}
+     */
+    output(text, file, message) {
+        if (!file) {
+            this.write(text.trimEnd());
+            return { ok: true };
+        }
+        try {
+            fs.writeFileSync(file, text);
+        } catch (e) {
+            return this.usage(`Could not write ${file}: ${e.message}`);
+        }
+        this.write(message);
+        return { ok: true };
+    }
+
+    /**
+     * import [--dry-run] <file>
+     */
+    importFile(args) {
+        const dryRun = args[0] === '--dry-run';
+        const files = dryRun ? args.slice(1) : args;
+        if (files.length !== 1) return this.usage('import [--dry-run] <file>');
+
+        let text;
+        try {
+            text = fs.readFileSync(files[0], 'utf8');
+        } catch (e) {
+            return this.usage(`Could not read ${files[0]}: ${e.message}`);
+        }
+        const parsed = parseBookings(text);
+        if (!parsed.success) return this.usage(`${files[0]}: ${parsed.message}`);
+
+        // A dry run shows every row; a real import only the rows left out
+        const result = this.system.importBookings(parsed.rows, { dryRun });
+        this.report(result);
+        result.results.filter(r => dryRun || !r.success).forEach(r => {
+            this.write(`  Line ${r.line}: ${r.message}`);
+        });
+        return { ok: true };
+    }
+
+    /**
+     * seats add <n>, or seats remove <seat>...
+     */
+    seats(args) {
+        const action = String(args[0]).toLowerCase();
+        if (action === 'add' && args.length === 2 && /^\d+$/.test(args[1])) {
+            return this.resize({ addSeats: Number(args[1]) });
+        }
+        if (action !== 'remove' || args.length < 2) return this.usage('seats add <n>, or seats remove <seat>...');
+
+        const removeSeats = args.slice(1).map(ref => this.system.seatIndex(ref));
+        const unknown = removeSeats.indexOf(-1);
+        if (unknown !== -1) return this.usage(`Unknown seat "${args[unknown + 1]}"`);
+        return this.resize({ removeSeats });
+    }
+
+    /**
+     * stations add start|end <n>, or stations add start|end <code> <km> <name>
+     */
+    stations(args) {
+        const end = String(args[1]).toLowerCase();
+        let added = null;
+        if (args.length === 3 && /^\d+$/.test(args[2])) {
+            added = Array.from({ length: Number(args[2]) }, () => ({}));
+        } else if (args.length >= 5 && !isNaN(Number(args[3]))) {
+            added = [{ code: args[2], name: args.slice(4).join(' '), distance: Number(args[3]) }];
+        }
+        if (String(args[0]).toLowerCase() !== 'add' || !['start', 'end'].includes(end) || !added) {
+            return this.usage('stations add start|end <n>, or stations add start|end <code> <km> <name>');
+        }
+
+        return this.resize(end === 'start' ? { stationsBefore: added } : { stationsAfter: added });
+    }
+
+    /**
+     * Switch to a resized copy of the system (see SeatBookingSystem.resized)
+     * @param {Object} changes
+     * @returns {{ok: boolean}}
+     */
+    resize(changes) {
+        const result = this.system.resized(changes);
+        if (result.success) this.system = result.system;
+        return this.report(result);
+    }
+
+    /**
+     * lookup <pnr>
+     */
+    lookup(args) {
+        if (args.length !== 1) return this.usage('lookup <pnr>');
+
+        const result = this.system.findBooking(args[0]);
+        this.write(result.message);
+        result.bookings.forEach(b => {
+            const state = b.active ? b.status : (b.replacedBy ? 'replaced' : 'cancelled');
+            this.write(`  #${b.id} seat ${this.system.seatLabel(b.seatId)} ${this.system.journeyText(b.from, b.to)}: ${state}`);
+        });
+        return { ok: true };
+    }
+}
+
+// ============================ BENCHMARK =============================
+
+/**
+ * Time the free seat index against checking every seat's tree, on a
+ * system filled with random trips. The trips come from a fixed seed, so
+ * every run books the same seats.
+ *
+ * @param {number} numSeats
+ * @param {number} numStations
+ * @param {Function} write - Output function
+ * @returns {boolean} Whether both approaches gave the same answers
+ */
+function runBenchmark(numSeats, numStations, write = console.log) {
+    const numSegments = numStations - 1;
+    let seed = 1;
+    const random = n => {
+        seed = (seed * 48271) % 2147483647;
+        return seed % n;
+    };
+    const time = fn => {
+        const start = performance.now();
+        const result = fn();
+        return { ms: performance.now() - start, result };
+    };
+
+    const built = time(() => new SeatBookingSystem(numSeats, numStations));
+    const system = built.result;
+    write(`Created ${numSeats} seats x ${numStations} stations in ${built.ms.toFixed(0)} ms`);
+
+    // Trips of up to a quarter of the route, four tries per seat. Taken
+    // seats are skipped up front so the fill doesn't time conflict messages.
+    const maxLength = Math.max(1, Math.floor(numSegments / 4));
+    const filled = time(() => {
+        let booked = 0;
+        for (let i = 0; i < numSeats * 4; i++) {
+            const length = 1 + random(maxLength);
+            const l = random(numSegments - length + 1);
+            const seatId = random(numSeats);
+            if (system.seats[seatId].query(l, l + length) > 0) continue;
+            if (system.book(seatId, l, l + length).success) booked++;
+        }
+        return booked;
+    });
+    write(`Booked ${filled.result} of ${numSeats * 4} random trips in ${filled.ms.toFixed(0)} ms`);
+
+    const queries = [];
+    for (let i = 0; i < 200; i++) {
+        const l = random(numSegments);
+        queries.push([l, l + 1 + random(Math.min(maxLength, numSegments - l))]);
+    }
+
+    // Both sides of "first free seat" take microseconds, too little to time
+    // over 200 queries, so that row runs the same queries 50 times over.
+    // The seat map is likewise drawn 10 times.
+    const repeated = Array(50).fill(queries).flat();
+
+    // Before the index: one tree query per seat, one per segment for status
+    const scanCount = (l, r) => system.seats.filter(tree => tree.query(l, r) === 0).length;
+    const scanFirst = (l, r) => system.seats.findIndex(tree => tree.query(l, r) === 0);
+    const scanList = (l, r) => system.seats.flatMap((tree, i) => tree.query(l, r) === 0 ? [i] : []);
+    const scanStatus = tree => {
+        if (tree.query(0, numSegments) === 0) return 'available';
+        for (let i = 0; i < numSegments; i++) {
+            if (tree.query(i, i + 1) === 0) return 'partial';
+        }
+        return 'booked';
+    };
+
+    const rows = [
+        ['Count free seats, per query', queries.length,
+            () => queries.map(([l, r]) => scanCount(l, r)),
+            () => queries.map(([l, r]) => system.countAvailable(l, r))],
+        ['First free seat, per query', repeated.length,
+            () => repeated.map(([l, r]) => scanFirst(l, r)),
+            () => repeated.map(([l, r]) => system.findFreeSeat(l, r))],
+        ['List free seats, per query', queries.length,
+            () => queries.map(([l, r]) => scanList(l, r)),
+            () => queries.map(([l, r]) => system.getFreeSeats(l, r))],
+        ['Status of every seat (seat map)', 10,
+            () => Array.from({ length: 10 }, () => system.seats.map(scanStatus)),
+            () => Array.from({ length: 10 }, () => system.seats.map((tree, i) => system.getSeatStatus(i)))]
+    ];
+
+    let same = true;
+    write('');
+    write(`${'Operation'.padEnd(34)}${'Every seat'.padStart(14)}${'Index'.padStart(14)}${'Speed-up'.padStart(10)}`);
+    rows.forEach(([name, runs, scan, indexed]) => {
+        // One untimed run each, so neither side is timed while it compiles:
+        // the seat trees are already warm from the fill, the index is not
+        scan();
+        indexed();
+        const before = time(scan);
+        const after = time(indexed);
+        if (JSON.stringify(before.result) !== JSON.stringify(after.result)) same = false;
+
+        const each = ms => `${(ms / runs).toFixed(3)} ms`;
+        const speedup = before.ms / Math.max(after.ms, 0.001);
+        const factor = `${speedup.toFixed(speedup < 10 ? 1 : 0)}x`;
+        write(`${name.padEnd(34)}${each(before.ms).padStart(14)}${each(after.ms).padStart(14)}${factor.padStart(10)}`);
+    });
+    write('');
+    write(same ? 'Both approaches gave the same answers.' : 'MISMATCH: the index and the seat trees disagree.');
+    return same;
+}
+
+// ============================ FUZZ TEST =============================
+
+/**
+ * Run random bookings, cancellations, holds, undos and queries against
+ * both the system and a brute-force model (lists of trips, holds and
+ * waitlisted requests, checked segment by segment), calling verify()
+ * after each one. The first disagreement is shrunk by dropping operations
+ * while it still fails, and printed as a command script that reproduces it.
+ *
+ * @param {number} numSeats
+ * @param {number} numStations
+ * @param {number} count - Operations to run
+ * @param {number} seed - Seed of the random operations
+ * @param {Function} write - Output function
+ * @returns {boolean} Whether no failure was found
+ */
+function runFuzz(numSeats, numStations, count, seed = 1, write = console.log) {
+    const numSegments = numStations - 1;
+    let state = seed;
+    const random = n => {
+        state = (state * 48271) % 2147483647;
+        return state % n;
+    };
+
+    // A journey, occasionally reversed or empty to exercise the checks
+    const journey = () => {
+        const l = random(numSegments);
+        const r = l + 1 + random(numSegments - l);
+        return random(20) === 0 ? [r, l] : [l, r];
+    };
+    const seat = () => random(numSeats * 20 + 1) === 0 ? numSeats : random(numSeats);
+
+    // Operations are plain arrays so they can be dropped while shrinking.
+    // release and confirm name a seat and segment, not a hold ID, which
+    // changes when earlier holds are dropped.
+    const ops = [];
+    const booked = [];
+    for (let i = 0; i < count; i++) {
+        const pick = random(100);
+        if (pick < 30) {
+            ops.push(['book', seat(), ...journey()]);
+            booked.push(ops[ops.length - 1]);
+        } else if (pick < 48 && booked.length > 0) {
+            // Part of an earlier trip, which may still be booked
+            const [, seatId, from, to] = booked[random(booked.length)];
+            const l = from + random(Math.max(1, to - from));
+            ops.push(['cancel', seatId, l, l + 1 + random(Math.max(1, to - l))]);
+        } else if (pick < 56) {
+            ops.push(['auto', ...journey()]);
+        } else if (pick < 66) {
+            ops.push(['hold', seat(), ...journey()]);
+        } else if (pick < 73) {
+            ops.push([random(2) === 0 ? 'release' : 'confirm', random(numSeats), random(numSegments)]);
+        } else if (pick < 78) {
+            ops.push(['undo']);
+        } else if (pick < 81) {
+            ops.push(['redo']);
+        } else if (pick < 93) {
+            ops.push(['query', ...journey()]);
+        } else if (pick < 97) {
+            ops.push(['status', random(numSeats)]);
+        } else {
+            ops.push(['load', ...journey()]);
+        }
+    }
+
+    /**
+     * Run operations on a new system and model
+     * @returns {{failure: {index: number, message: string}|null, script: string[]}}
+     */
+    const replay = list => {
+        const system = new SeatBookingSystem(numSeats, numStations);
+        const script = [];
+
+        // Model: booked trips, holds and waitlisted requests, plus the trips
+        // and requests after each journaled operation for undo and redo
+        let trips = [];
+        let queue = [];
+        let holds = [];
+        const history = [{ trips: [], queue: [] }];
+        let cursor = 0;
+        const record = () => {
+            history.length = cursor + 1;
+            history.push(JSON.parse(JSON.stringify({ trips, queue })));
+            cursor++;
+        };
+        const restore = () => {
+            ({ trips, queue } = JSON.parse(JSON.stringify(history[cursor])));
+        };
+
+        const valid = (seatId, l, r) => seatId >= 0 && seatId < numSeats && l >= 0 && r <= numSegments && l < r;
+        const overlaps = (items, seatId, l, r) => items.some(t => t.seatId === seatId && t.from < r && l < t.to);
+        const free = (seatId, l, r) => !overlaps(trips, seatId, l, r) && !overlaps(holds, seatId, l, r);
+        const freeSeats = (l, r) => Array.from({ length: numSeats }, (_, i) => i).filter(i => free(i, l, r));
+        const find = (items, seatId, l, r) => items.findIndex(t => t.seatId === seatId && t.from <= l && r <= t.to);
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const expect = (name, result, expected) => result.success === expected ? null
+            : `${name} gave "${result.message}"; the model expected ${expected ? 'success' : 'failure'}`;
+        const seatOf = pnr => {
+            const active = system.findBooking(pnr).bookings.filter(b => b.active);
+            return active.length > 0 ? active[0].seatId : -1;
+        };
+
+        // Waitlisted requests in order take a seat the model has free, or stay queued
+        const promote = () => {
+            for (const entry of [...queue]) {
+                const seatId = seatOf(entry.pnr);
+                const options = freeSeats(entry.from, entry.to);
+                if (options.length === 0 && seatId !== -1) return `PNR ${entry.pnr} was confirmed, but the model has no seat free for it`;
+                if (options.length === 0) continue;
+                if (!options.includes(seatId)) return `PNR ${entry.pnr} should have been confirmed on one of seats ${options.map(i => i + 1)}`;
+                trips.push({ seatId, from: entry.from, to: entry.to });
+                queue.splice(queue.indexOf(entry), 1);
+            }
+            return null;
+        };
+
+        const apply = ([name, ...args]) => {
+            const [a, b, c] = args;
+            switch (name) {
+                case 'book':
+                case 'hold': {
+                    script.push(`${name} ${a + 1} ${b + 1} ${c + 1}`);
+                    const expected = valid(a, b, c) && free(a, b, c);
+                    const result = name === 'book' ? system.book(a, b, c) : system.hold(a, b, c);
+                    if (result.success !== expected || !expected) return expect(name, result, expected);
+                    (name === 'book' ? trips : holds).push({ seatId: a, from: b, to: c, id: result.holdId });
+                    if (name === 'book') record();
+                    return null;
+                }
+                case 'auto': {
+                    script.push(`book any ${a + 1} ${b + 1}`);
+                    const result = system.bookOrWaitlist(a, b);
+                    if (result.success !== valid(0, a, b) || !result.success) return expect('book any', result, valid(0, a, b));
+                    const options = freeSeats(a, b);
+                    const seatId = seatOf(result.pnr);
+                    if (options.length > 0 && !options.includes(seatId)) return `book any gave "${result.message}"; the model has seats ${options.map(i => i + 1)} free`;
+                    if (options.length === 0 && result.status !== 'WL') return `book any gave "${result.message}"; the model has no seat free`;
+                    if (options.length > 0) trips.push({ seatId, from: a, to: b });
+                    else queue.push({ pnr: result.pnr, from: a, to: b });
+                    record();
+                    return null;
+                }
+                case 'cancel': {
+                    script.push(`cancel ${a + 1} ${b + 1} ${c + 1}`);
+                    const index = valid(a, b, c) ? find(trips, a, b, c) : -1;
+                    const result = system.cancel(a, b, c);
+                    if (result.success !== (index !== -1) || index === -1) return expect('cancel', result, index !== -1);
+                    const [trip] = trips.splice(index, 1);
+                    if (trip.from < b) trips.push({ seatId: a, from: trip.from, to: b });
+                    if (c < trip.to) trips.push({ seatId: a, from: c, to: trip.to });
+                    const problem = promote();
+                    record();
+                    return problem;
+                }
+                case 'release':
+                case 'confirm': {
+                    const index = find(holds, a, b, b + 1);
+                    if (index === -1) return null;
+                    const [hold] = holds.splice(index, 1);
+                    script.push(`${name} ${hold.id}`);
+                    const result = name === 'release' ? system.releaseHold(hold.id) : system.confirmHold(hold.id);
+                    if (!result.success) return expect(name, result, true);
+                    if (name === 'confirm') {
+                        trips.push({ seatId: a, from: hold.from, to: hold.to });
+                        record();
+                    }
+                    return null;
+                }
+                case 'undo': {
+                    script.push('undo');
+                    const result = system.undo();
+                    if (result.success !== cursor > 0 || cursor === 0) return expect('undo', result, cursor > 0);
+                    cursor--;
+                    restore();
+                    // Holds now on a booked seat are dropped; the rest stay
+                    holds = holds.filter(h => !overlaps(trips, h.seatId, h.from, h.to));
+                    return null;
+                }
+                case 'redo': {
+                    script.push('redo');
+                    const next = history[cursor + 1];
+                    const expected = Boolean(next) && !holds.some(h => overlaps(next.trips, h.seatId, h.from, h.to));
+                    const result = system.redo();
+                    if (result.success !== expected || !expected) return expect('redo', result, expected);
+                    cursor++;
+                    restore();
+                    return null;
+                }
+                case 'query': {
+                    script.push(`query ${a + 1} ${b + 1}`);
+                    if (!valid(0, a, b)) return null;
+                    const seats = freeSeats(a, b);
+                    const actual = [system.getFreeSeats(a, b), system.countAvailable(a, b), system.findFreeSeat(a, b)];
+                    const expected = [seats, seats.length, seats.length > 0 ? seats[0] : -1];
+                    return same(actual, expected) ? null : `free seats, count and first seat are ${JSON.stringify(actual)}; the model has ${JSON.stringify(expected)}`;
+                }
+                case 'status': {
+                    script.push(`status ${a + 1}`);
+                    let used = 0;
+                    for (let i = 0; i < numSegments; i++) if (!free(a, i, i + 1)) used++;
+                    const expected = used === 0 ? 'available' : used === numSegments ? 'booked' : 'partial';
+                    const actual = system.getSeatStatus(a);
+                    return actual === expected ? null : `seat status is ${actual}; the model has ${expected}`;
+                }
+                case 'load': {
+                    script.push(`load ${a + 1} ${b + 1}`);
+                    if (!valid(0, a, b)) return null;
+                    const loads = new Array(numSegments).fill(0);
+                    trips.forEach(t => { for (let i = t.from; i < t.to; i++) loads[i]++; });
+                    const expected = Math.max(...loads.slice(a, b));
+                    const actual = system.getPeakLoad(a, b).load;
+                    return actual === expected ? null : `peak load is ${actual}; the model has ${expected}`;
+                }
+            }
+            return null;
+        };
+
+        // Every passenger must be where the model put them, after undo and redo too
+        const key = t => `seat ${t.seatId + 1} ${t.from + 1}-${t.to + 1}`;
+        const compare = () => {
+            const expected = trips.map(key).sort();
+            const actual = system.bookings.filter(b => b.active).map(key).sort();
+            if (!same(actual, expected)) return `bookings are ${actual.join(', ') || 'none'}; the model has ${expected.join(', ') || 'none'}`;
+            const held = system.holds.map(key).sort();
+            const kept = holds.map(key).sort();
+            return same(held, kept) ? null : `holds are ${held.join(', ') || 'none'}; the model has ${kept.join(', ') || 'none'}`;
+        };
+
+        for (const [index, op] of list.entries()) {
+            let message;
+            try {
+                message = apply(op) || compare();
+                if (!message) {
+                    const check = system.verify();
+                    if (!check.success) message = `verify() failed: ${check.message}`;
+                }
+            } catch (err) {
+                message = `threw ${err.stack || err}`;
+            }
+            if (message) return { failure: { index, message }, script };
+        }
+        return { failure: null, script };
+    };
+
+    const run = replay(ops);
+    if (!run.failure) {
+        write(`Ran ${ops.length} random operations on ${numSeats} seats x ${numStations} stations (seed ${seed}).`);
+        write('The system agreed with the model, and verify() passed after every operation.');
+        return true;
+    }
+
+    write(`Operation ${run.failure.index + 1} of ${ops.length} failed (seed ${seed}): ${run.failure.message}`);
+
+    // Shrink: drop ever smaller chunks of operations while any failure remains
+    let failing = ops.slice(0, run.failure.index + 1);
+    for (let chunk = Math.ceil(failing.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+        for (let start = 0; start < failing.length;) {
+            const candidate = [...failing.slice(0, start), ...failing.slice(start + chunk)];
+            const result = replay(candidate);
+            if (result.failure) {
+                failing = candidate.slice(0, result.failure.index + 1);
+            } else {
+                start += chunk;
+            }
+        }
+    }
+
+    const minimal = replay(failing);
+    write(`Shrunk to ${failing.length} operation${failing.length === 1 ? '' : 's'}: ${minimal.failure.message}`);
+    write(`Reproduce with: node cli.js --seats ${numSeats} --stations ${numStations} <file with these lines>`);
+    write('');
+    [...minimal.script, 'verify'].forEach(line => write(line));
+    return false;
+}
+
+// ============================== MAIN ================================
+
+/**
+ * Run every command in a file, echoing each one before its output
+ * @param {BookingShell} shell
+ * @param {string} file - Path to the command file
+ * @returns {number} Exit code: 1 if any command was invalid
+ */
+function runBatch(shell, file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        console.error(`Could not read ${file}: ${e.message}`);
+        return 1;
+    }
+
+    let failed = false;
+    for (const [index, line] of text.split(/\r?\n/).entries()) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        shell.write(`> ${trimmed}`);
+        const result = shell.run(trimmed);
+        if (!result.ok) {
+            shell.write(`  (line ${index + 1})`);
+            failed = true;
+        }
+        if (result.exit) break;
+    }
+    return failed ? 1 : 0;
+}
+
+/**
+ * Start the interactive shell
+ * @param {BookingShell} shell
+ */
+function runInteractive(shell) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'booking> ' });
+    shell.write('Seat Booking System shell. Type "help" for commands.');
+    rl.prompt();
+
+    rl.on('line', line => {
+        if (shell.run(line).exit) {
+            rl.close();
+            return;
+        }
+        rl.prompt();
+    });
+}
+
+if (require.main === module) {
+    const { options, script, error } = parseArgs(process.argv.slice(2));
+    if (error || options.help) {
+        if (error) console.error(error);
+        console.log('Usage: node cli.js [--seats N] [--stations M] [--seats-per-row K] [--rac 8,16]');
+        console.log('                   [--routes FILE --route ID] [--layouts FILE --layout ID] [script]');
+        console.log('       node cli.js --benchmark [SEATSxSTATIONS]');
+        console.log('       node cli.js --fuzz [OPERATIONS] [--seed N] [--seats N] [--stations M]');
+        console.log(HELP);
+        process.exit(error ? 1 : 0);
+    }
+
+    if (options.benchmark) {
+        const [seats, stations] = options.benchmark.split('x').map(Number);
+        if (seats < 1 || stations < 2) {
+            console.error('--benchmark needs at least 1 seat and 2 stations');
+            process.exit(1);
+        }
+        process.exit(runBenchmark(seats, stations) ? 0 : 1);
+    }
+
+    if (options.fuzz !== undefined) {
+        if (options.fuzz < 1 || options.stations < 2) {
+            console.error('--fuzz needs at least 1 operation and 2 stations');
+            process.exit(1);
+        }
+        process.exit(runFuzz(options.seats, options.stations, options.fuzz, options.seed) ? 0 : 1);
+    }
+
+    const created = createSystem(options);
+    if (created.error) {
+        console.error(created.error);
+        process.exit(1);
+    }
+
+    const shell = new BookingShell(created.system);
+    if (script) {
+        process.exitCode = runBatch(shell, script);
+    } else {
+        runInteractive(shell);
+    }
+}
+
+module.exports = { BookingShell, parseArgs, createSystem, runBenchmark, runFuzz };
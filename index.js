@@ -1,597 +1,540 @@
 /**
  * ===================================================================
- * Bus/Railway Seat Booking System using Segment Tree
+ * Bus/Railway Seat Booking System - Browser UI
  * ===================================================================
- * 
- * This implementation uses a Segment Tree with Lazy Propagation to
- * efficiently manage seat availability across journey segments.
- * 
- * Time Complexity: O(log M) per operation where M = number of stations
- * Space Complexity: O(4*M) per seat for the segment tree
- * 
- * ===================================================================
- * HOW THE SEGMENT TREE WORKS
- * ===================================================================
- * 
- * CONCEPT:
- * Each seat has its own segment tree. The tree tracks which journey
- * segments are occupied. For example, with 10 stations, we have 9
- * segments: [0,1), [1,2), [2,3), ..., [8,9)
- * 
- * TREE STRUCTURE:
- * The segment tree is a binary tree where:
- * - Leaf nodes represent individual segments
- * - Internal nodes represent ranges of segments
- * - Each node stores the MAXIMUM occupancy in its range
- * 
- * Example with 4 segments [0,1), [1,2), [2,3), [3,4):
- * 
- *                    [0,4) Max=1          <- Root covers all segments
- *                   /              \
- *              [0,2) Max=1          [2,4) Max=0
- *             /         \           /         \
- *        [0,1) M=0   [1,2) M=1  [2,3) M=0  [3,4) M=0  <- Leaves
- * 
- * This tree indicates seat is booked for segment [1,2) only.
- * 
- * BOOKING OPERATION:
- * When booking from station L to R:
- * 1. Query: Check if max occupancy in range [L, R) is 0
- * 2. If yes, Update: Add +1 to all segments in range [L, R)
- * 3. Tree nodes update to reflect new maximum
- * 
- * LAZY PROPAGATION:
- * Instead of updating all nodes immediately, we:
- * - Mark parent nodes with a "lazy" value
- * - Push lazy values down only when needed (during queries/updates)
- * - This makes range updates O(log M) instead of O(M)
- * 
- * Example: Booking [1,3) adds +1 to segments [1,2) and [2,3)
- * The tree marks ranges with lazy values and propagates on demand.
- * 
- * AVAILABILITY CHECK:
- * To check if seat is available for journey [L, R):
- * - Query maximum occupancy in range [L, R)
- * - If max == 0: all segments free, seat available
- * - If max > 0: at least one segment occupied, seat unavailable
- * 
+ *
+ * Connects the booking engine to the page. The engine (segment trees,
+ * SeatBookingSystem, routes, layouts, fares, persistence) lives in
+ * booking-core.js, which index.html loads first so its classes are
+ * available here as globals.
+ *
  * ===================================================================
  */
 
-// ======================== SEGMENT TREE CLASS ========================
+// ========================== UI CONTROLLER ===========================
 
 /**
- * Segment Tree with Lazy Propagation for range max queries and updates.
- * 
- * Each node stores the maximum value in its range. This allows us to
- * quickly check if ANY segment in a range is occupied (max > 0).
+ * UI Controller managing DOM interactions and visual feedback
  */
-class SegmentTree {
-    /**
-     * Initialize segment tree for n elements (stations/segments)
-     * @param {number} n - Number of segments (stations - 1)
-     */
-    constructor(n) {
-        this.n = n;
-        // Tree size: 4*n is sufficient for complete binary tree
-        this.tree = new Array(4 * n).fill(0);
-        this.lazy = new Array(4 * n).fill(0);
-    }
-
-    /**
-     * Push down lazy values to children before accessing them.
-     * This ensures the tree maintains correct values during traversal.
-     * 
-     * @param {number} node - Current node index
-     */
-    pushDown(node) {
-        if (this.lazy[node] !== 0) {
-            const leftChild = 2 * node + 1;
-            const rightChild = 2 * node + 2;
-
-            // Propagate lazy value to children
-            this.tree[leftChild] += this.lazy[node];
-            this.tree[rightChild] += this.lazy[node];
-            this.lazy[leftChild] += this.lazy[node];
-            this.lazy[rightChild] += this.lazy[node];
-
-            // Clear current lazy value
-            this.lazy[node] = 0;
-        }
-    }
-
-    /**
-     * Range update: Add val to all elements in [l, r)
-     * Used for booking (+1) and cancellation (-1)
-     * 
-     * @param {number} l - Start of range (inclusive)
-     * @param {number} r - End of range (exclusive)
-     * @param {number} val - Value to add (+1 for book, -1 for cancel)
-     * @param {number} node - Current node (default: root = 0)
-     * @param {number} start - Node's range start (default: 0)
-     * @param {number} end - Node's range end (default: n)
-     */
-    update(l, r, val, node = 0, start = 0, end = this.n) {
-        // No overlap
-        if (r <= start || end <= l) {
-            return;
-        }
-
-        // Complete overlap - apply lazy update
-        if (l <= start && end <= r) {
-            this.tree[node] += val;
-            this.lazy[node] += val;
-            return;
-        }
-
-        // Partial overlap - recurse to children
-        this.pushDown(node);
-        const mid = Math.floor((start + end) / 2);
-        this.update(l, r, val, 2 * node + 1, start, mid);
-        this.update(l, r, val, 2 * node + 2, mid, end);
-
-        // Update current node from children (read their current effective values)
-        // Note: After pushDown, children have lazy values but tree values are current
-        const leftChild = 2 * node + 1;
-        const rightChild = 2 * node + 2;
-        this.tree[node] = Math.max(
-            this.tree[leftChild] + this.lazy[leftChild],
-            this.tree[rightChild] + this.lazy[rightChild]
-        );
-    }
-
-    /**
-     * Range query: Get maximum value in [l, r)
-     * If max > 0, the range has at least one occupied segment
-     * 
-     * @param {number} l - Start of range (inclusive)
-     * @param {number} r - End of range (exclusive)
-     * @param {number} node - Current node (default: root = 0)
-     * @param {number} start - Node's range start (default: 0)
-     * @param {number} end - Node's range end (default: n)
-     * @returns {number} Maximum occupancy in the range
-     */
-    query(l, r, node = 0, start = 0, end = this.n) {
-        // No overlap
-        if (r <= start || end <= l) {
-            return 0;
-        }
-
-        // Complete overlap - return node value
-        if (l <= start && end <= r) {
-            return this.tree[node];
-        }
-
-        // Partial overlap - query children
-        this.pushDown(node);
-        const mid = Math.floor((start + end) / 2);
-        const leftMax = this.query(l, r, 2 * node + 1, start, mid);
-        const rightMax = this.query(l, r, 2 * node + 2, mid, end);
-
-        return Math.max(leftMax, rightMax);
-    }
-
+class UIController {
     /**
-     * Get tree structure for visualization
-     * 
-     * This creates a balanced visualization where all leaf nodes (single segments)
-     * appear on the same bottom line, regardless of their actual depth in the tree.
-     * 
-     * Each node's value represents the MAXIMUM occupancy in its range.
-     * 
-     * @returns {Array} Array of levels, each containing node objects with range info
+     * @param {Object} config - Definitions loaded by loadConfig()
+     * @param {Object<string, Route>} config.routes - Routes by id
+     * @param {Object<string, Layout>} config.layouts - Coach layouts by id
+     * @param {string[]} config.errors - Problems found while loading
+     * @param {string} config.api - Booking server URL ('' for this page's origin) to use
+     *     instead of the in-page system; omit to book in the page
      */
-    getTreeVisualization() {
-        // Early termination if tree is empty
-        if (this.n === 0) return [];
-
-        // Collect all nodes with their metadata
-        const allNodes = [];
-
-        const collectNodes = (node, start, end, accLazy, depth) => {
-            if (start >= end || start >= this.n) return;
-
-            const effectiveVal = this.tree[node] + accLazy;
-            const isLeaf = (end - start === 1);
-
-            allNodes.push({
-                node,
-                start,
-                end,
-                value: effectiveVal,
-                range: `[${start + 1},${Math.min(end, this.n) + 1})`,
-                depth,
-                isLeaf,
-                accLazy
-            });
-
-            if (!isLeaf) {
-                const childAccLazy = accLazy + this.lazy[node];
-                const mid = Math.floor((start + end) / 2);
-                collectNodes(2 * node + 1, start, mid, childAccLazy, depth + 1);
-                collectNodes(2 * node + 2, mid, end, childAccLazy, depth + 1);
+    constructor(config = { routes: {}, layouts: {}, errors: [] }) {
+        // Fare rates per km by class; segments over 60% full cost up to 40% more
+        this.FARES = {
+            currency: '₹',
+            minimumFare: 60,
+            surcharge: { threshold: 0.6, maxRate: 0.4 },
+            classes: {
+                // First entry: seats whose class is unknown (no layout loaded)
+                'GEN': { name: 'Seater', ratePerKm: 1.1 },
+                '1A': { name: 'AC First Class', ratePerKm: 3.5 },
+                '2A': { name: 'AC 2 Tier', ratePerKm: 2.1 },
+                '3A': { name: 'AC 3 Tier', ratePerKm: 1.5 },
+                'EC': { name: 'Executive Chair Car', ratePerKm: 2.6 },
+                'CC': { name: 'AC Chair Car', ratePerKm: 1.3 }
             }
         };
 
-        // Collect all nodes
-        collectNodes(0, 0, this.n, 0, 0);
-
-        // Find max depth among leaf nodes
-        const maxLeafDepth = Math.max(...allNodes.filter(n => n.isLeaf).map(n => n.depth));
-
-        // Assign display level: 
-        // - Leaf nodes: all go to bottom level (maxLeafDepth)
-        // - Internal nodes depth 0-2: show at their depth
-        // - Deep internal nodes (depth > 2 like [7,9)): hide them
-        allNodes.forEach(node => {
-            if (node.isLeaf) {
-                node.displayLevel = maxLeafDepth;
-            } else if (node.depth <= 2) {
-                node.displayLevel = node.depth;
-            } else {
-                node.displayLevel = -1; // Hide deep intermediate nodes
-            }
+        // Configuration: services on sale, each with its own seats and route.
+        // seatsPerRow and racSeats shape the plain grid used without a layout.
+        this.SERVICES = [
+            { id: '12951', name: '12951 Rajdhani Express', routeId: 'MMCT-NDLS', layoutId: 'rajdhani-3-coach', numSeats: 24, numStations: 10, seatsPerRow: 8, racSeats: [7, 15, 23] },
+            { id: '12009', name: '12009 Shatabdi Express', routeId: 'MMCT-ADI', layoutId: 'shatabdi-2-coach', numSeats: 32, numStations: 8, seatsPerRow: 8, racSeats: [] },
+            { id: 'KA-101', name: 'KA-101 Intercity Bus', routeId: 'BLR-MYS', layoutId: 'bus-2x2', numSeats: 16, numStations: 6, seatsPerRow: 4, racSeats: [] }
+        ];
+        this.SERVICES.forEach(service => {
+            service.fares = new FareCalculator(this.FARES);
         });
 
-        // Group by display level
-        const levels = [];
-        for (let level = 0; level <= maxLeafDepth; level++) {
-            const nodesAtLevel = allNodes
-                .filter(n => n.displayLevel === level)
-                .sort((a, b) => a.start - b.start);  // Sort by start position
+        // Attach routes and layouts; services without them use "Station N"
+        // and a plain grid
+        this.configErrors = [...config.errors];
+        this.SERVICES.forEach(service => {
+            const route = config.routes[service.routeId];
+            if (route && route.numStations !== service.numStations) {
+                this.configErrors.push(`Route ${service.routeId} has ${route.numStations} stations, ${service.name} needs ${service.numStations}`);
+            } else if (route) {
+                service.route = route;
+            }
 
-            if (nodesAtLevel.length > 0) {
-                levels.push(nodesAtLevel.map(n => ({
-                    value: n.value,
-                    range: n.range
-                })));
+            const layout = config.layouts[service.layoutId];
+            if (layout && layout.numSeats !== service.numSeats) {
+                this.configErrors.push(`Layout ${service.layoutId} has ${layout.numSeats} seats, ${service.name} needs ${service.numSeats}`);
+            } else if (layout) {
+                service.layout = layout;
             }
-        }
+        });
 
-        return levels;
-    }
-}
+        // Berth codes used in layouts
+        this.BERTHS = { LB: 'Lower berth', MB: 'Middle berth', UB: 'Upper berth', SL: 'Side lower', SU: 'Side upper' };
 
-// ====================== SEAT BOOKING SYSTEM =========================
+        // Initialize the service registry, restoring saved bookings if present
+        this.storage = new BookingStorage();
+        this.restoreResult = this.storage.load(this.SERVICES);
+        this.registry = this.restoreResult.status === 'restored'
+            ? this.restoreResult.registry
+            : new ServiceRegistry(this.SERVICES);
+        this.serviceId = this.SERVICES[0].id;
+        this.travelDate = ServiceRegistry.today();
+        this.system = this.registry.getSystem(this.serviceId, this.travelDate);
 
-/**
- * Main booking system managing N seats across M stations.
- * Each seat has its own segment tree for O(log M) operations.
- */
-class SeatBookingSystem {
-    /**
-     * Initialize booking system
-     * @param {number} numSeats - Number of seats (N)
-     * @param {number} numStations - Number of stations (M)
-     */
-    constructor(numSeats, numStations) {
-        this.numSeats = numSeats;
-        this.numStations = numStations;
-        this.numSegments = numStations - 1; // Journey segments
+        // Booking server (server.js) that replaces the in-page system when set
+        this.api = typeof config.api === 'string' ? new ApiClient(config.api) : null;
+        this.apiRevision = null;    // Server revision of the shown system
+        this.apiOnline = true;      // Last request reached the server
 
-        // Create a segment tree for each seat (for individual seat availability)
-        this.seats = [];
-        for (let i = 0; i < numSeats; i++) {
-            this.seats.push(new SegmentTree(this.numSegments));
-        }
+        // State
+        this.liveSystem = null;     // Real system while viewing a past state
+        this.treeView = 'seat';     // 'seat' or 'global'
+        this.selectedSeat = null;   // Most recently clicked seat
+        this.selectedSeats = [];    // All selected seats (multi-select)
+        this.pendingImport = null;  // File shown in the import preview: {name, text, rows}
+        this.pendingSplit = null;   // Seat changes suggested by Find Available: planSplitJourney() result
+        this.timelineDrag = null;   // Cells dragged across in the seat timeline: {seatId, start, end, moved}
+        this.treeTrace = null;      // Trace shown in the tree card: {trace, tree, step, message}
+        this.traceTimer = null;     // Interval playing the trace
+        this.traceOpen = new Map(); // Trace tree nodes the user expanded (true) or collapsed (false)
+        this.seenHolds = null;      // Holds of the live system at the last tick: {system, holds}
 
-        // Global segment tree tracking COUNT of seats booked per segment
-        // This shows how many seats are booked for each segment
-        this.globalTree = new SegmentTree(this.numSegments);
+        // DOM Elements
+        this.elements = {
+            serviceSelect: document.getElementById('serviceSelect'),
+            travelDate: document.getElementById('travelDate'),
+            fromStation: document.getElementById('fromStation'),
+            toStation: document.getElementById('toStation'),
+            seatGrid: document.getElementById('seatGrid'),
+            journeyProgress: document.getElementById('journeyProgress'),
+            stationMarkers: document.getElementById('stationMarkers'),
+            treeContainer: document.getElementById('treeContainer'),
+            treeTabs: document.querySelectorAll('[data-tree-view]'),
+            traceOp: document.getElementById('traceOp'),
+            traceBtn: document.getElementById('traceBtn'),
+            loadHeatBar: document.getElementById('loadHeatBar'),
+            peakLoad: document.getElementById('peakLoad'),
+            rangeLoad: document.getElementById('rangeLoad'),
+            rangeFree: document.getElementById('rangeFree'),
+            chartStation: document.getElementById('chartStation'),
+            chartView: document.getElementById('chartView'),
+            chartCsvBtn: document.getElementById('chartCsvBtn'),
+            chartJsonBtn: document.getElementById('chartJsonBtn'),
+            reportSelect: document.getElementById('reportSelect'),
+            reportSummary: document.getElementById('reportSummary'),
+            reportChart: document.getElementById('reportChart'),
+            reportCsvBtn: document.getElementById('reportCsvBtn'),
+            historyLog: document.getElementById('historyLog'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            timeTravel: document.getElementById('timeTravel'),
+            timeTravelLabel: document.getElementById('timeTravelLabel'),
+            bookBtn: document.getElementById('bookBtn'),
+            cancelBtn: document.getElementById('cancelBtn'),
+            queryBtn: document.getElementById('queryBtn'),
+            groupSize: document.getElementById('groupSize'),
+            groupAdjacent: document.getElementById('groupAdjacent'),
+            groupBtn: document.getElementById('groupBtn'),
+            strategySelect: document.getElementById('strategySelect'),
+            filterPosition: document.getElementById('filterPosition'),
+            filterBerth: document.getElementById('filterBerth'),
+            filterCoach: document.getElementById('filterCoach'),
+            autoBtn: document.getElementById('autoBtn'),
+            holdMinutes: document.getElementById('holdMinutes'),
+            holdBtn: document.getElementById('holdBtn'),
+            holdList: document.getElementById('holdList'),
+            passengerName: document.getElementById('passengerName'),
+            passengerAge: document.getElementById('passengerAge'),
+            passengerContact: document.getElementById('passengerContact'),
+            pnrInput: document.getElementById('pnrInput'),
+            lookupBtn: document.getElementById('lookupBtn'),
+            lookupResult: document.getElementById('lookupResult'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
+            importBtn: document.getElementById('importBtn'),
+            importFile: document.getElementById('importFile'),
+            importPreview: document.getElementById('importPreview'),
+            splitPlan: document.getElementById('splitPlan'),
+            timeline: document.getElementById('timeline'),
+            addSeatsCount: document.getElementById('addSeatsCount'),
+            addSeatsBtn: document.getElementById('addSeatsBtn'),
+            removeSeatsBtn: document.getElementById('removeSeatsBtn'),
+            stationEnd: document.getElementById('stationEnd'),
+            stationCode: document.getElementById('stationCode'),
+            stationName: document.getElementById('stationName'),
+            stationKm: document.getElementById('stationKm'),
+            addStationBtn: document.getElementById('addStationBtn'),
+            toastContainer: document.getElementById('toastContainer'),
+            // Stats
+            totalSeats: document.getElementById('totalSeats'),
+            totalStations: document.getElementById('totalStations'),
+            activeBookings: document.getElementById('activeBookings'),
+            waitlisted: document.getElementById('waitlisted'),
+            revenue: document.getElementById('revenue'),
+            waitlistIfFull: document.getElementById('waitlistIfFull')
+        };
 
-        // Track all bookings for display and management
-        this.bookings = [];
-        this.operationCount = 0;
+        // Initialize
+        this.init();
     }
 
-    /**
-     * Book a seat for journey from station l to station r
-     * 
-     * @param {number} seatId - Seat index (0-based)
-     * @param {number} l - Start station (inclusive)
-     * @param {number} r - End station (exclusive)
-     * @returns {{success: boolean, message: string}}
-     */
-    book(seatId, l, r) {
-        this.operationCount++;
-
-        // Validate inputs
-        if (seatId < 0 || seatId >= this.numSeats) {
-            return { success: false, message: `Invalid seat ID: ${seatId}` };
-        }
-        if (l < 0 || r > this.numStations || l >= r) {
-            return { success: false, message: `Invalid station range: [${l}, ${r})` };
-        }
-
-        // Check availability - if max occupancy > 0, seat is taken
-        const maxOccupancy = this.seats[seatId].query(l, r);
-
-        if (maxOccupancy > 0) {
-            // Find which bookings conflict
-            const conflicts = this.bookings.filter(
-                b => b.seatId === seatId && b.active && b.from < r && b.to > l
-            ).map(b => `${b.from + 1}-${b.to + 1}`);
-
-            return {
-                success: false,
-                message: `Seat ${seatId + 1} already booked for ${conflicts.join(', ')}`
-            };
-        }
-
-        // Book the seat - increment occupancy in range
-        this.seats[seatId].update(l, r, 1);
-
-        // Update global count of seats booked per segment
-        this.globalTree.update(l, r, 1);
-
-        // Track booking
-        const booking = {
-            id: this.bookings.length + 1,
-            seatId,
-            from: l,
-            to: r,
-            active: true,
-            timestamp: new Date()
-        };
-        this.bookings.push(booking);
+    init() {
+        this.populateServicePicker();
+        this.populateStationSelects();
+        this.populateSeatFilters();
+        this.createSeatGrid();
+        this.createStationMarkers();
+        this.updateJourneyVisual();
+        this.updateStats();
+        this.updateTreeVisualization();
+        this.bindEvents();
+        this.updateSeatGrid();
+        this.reportRestore();
+        this.configErrors.forEach(error => this.addLogEntry(`Config: ${error}`, 'error'));
+        if (this.api) this.connectApi();
 
-        return {
-            success: true,
-            message: `Seat ${seatId + 1} booked from station ${l + 1} to ${r + 1}`,
-            bookingId: booking.id
-        };
+        // Count down holds and release the expired ones
+        setInterval(() => this.tickHolds(), 1000);
     }
 
     /**
-     * Cancel a booking for a seat in the given range
-     * 
-     * @param {number} seatId - Seat index (0-based)
-     * @param {number} l - Start station (inclusive)
-     * @param {number} r - End station (exclusive)
-     * @returns {{success: boolean, message: string}}
+     * Switch to the booking server's system and keep it in sync
      */
-    cancel(seatId, l, r) {
-        this.operationCount++;
-
-        // Validate inputs
-        if (seatId < 0 || seatId >= this.numSeats) {
-            return { success: false, message: `Invalid seat ID: ${seatId}` };
-        }
-        if (l < 0 || r > this.numStations || l >= r) {
-            return { success: false, message: `Invalid station range: [${l}, ${r})` };
-        }
-
-        // Only allow cancelling if there's an exact matching active booking
-        const booking = this.bookings.find(
-            b => b.seatId === seatId && b.from === l && b.to === r && b.active
-        );
+    async connectApi() {
+        this.elements.serviceSelect.disabled = true;
+        this.elements.travelDate.disabled = true;
 
-        if (!booking) {
-            return {
-                success: false,
-                message: `No booking found for seat ${seatId + 1} from stations ${l + 1}-${r + 1}`
-            };
+        if (await this.refreshFromApi()) {
+            this.addLogEntry(`Connected to the booking server at ${this.api.baseUrl || location.origin}`, 'info');
         }
 
-        // Cancel - decrement occupancy in range
-        this.seats[seatId].update(l, r, -1);
-
-        // Update global count
-        this.globalTree.update(l, r, -1);
-
-        // Mark booking as inactive
-        booking.active = false;
-
-        return {
-            success: true,
-            message: `Booking cancelled for seat ${seatId + 1} from station ${l + 1} to ${r + 1}`
-        };
+        // Pick up changes made by other clients
+        setInterval(() => this.refreshFromApi(), 5000);
     }
 
     /**
-     * Find all seats available for the given journey range
-     * 
-     * @param {number} l - Start station (inclusive)
-     * @param {number} r - End station (exclusive)
-     * @returns {{available: number[], message: string}}
+     * Reload the system from the booking server if it changed
+     * @returns {Promise<boolean>} Whether the server answered
      */
-    queryAvailable(l, r) {
-        this.operationCount++;
-
-        if (l < 0 || r > this.numStations || l >= r) {
-            return { available: [], message: `Invalid station range: [${l}, ${r})` };
-        }
-
-        const available = [];
-
-        for (let seatId = 0; seatId < this.numSeats; seatId++) {
-            const maxOccupancy = this.seats[seatId].query(l, r);
-            if (maxOccupancy === 0) {
-                available.push(seatId);
+    async refreshFromApi() {
+        const result = await this.api.fetchSystem();
+        if (!result.success) {
+            // Report an outage once, not on every poll
+            if (this.apiOnline) {
+                this.showToast('Booking Server', result.message, 'error');
+                this.addLogEntry(`Booking server: ${result.message}`, 'error');
             }
+            this.apiOnline = false;
+            return false;
         }
 
-        const message = available.length > 0
-            ? `${available.length} seat(s) available for stations ${l + 1}-${r + 1}`
-            : `No seats available for stations ${l + 1}-${r + 1}`;
+        this.apiOnline = true;
+        if (result.revision === this.apiRevision) return true;
 
-        return { available, message };
+        const first = this.apiRevision === null;
+        const resized = !first && (result.system.numSeats !== this.system.numSeats ||
+            result.system.numStations !== this.system.numStations);
+        this.apiRevision = result.revision;
+        this.system = result.system;
+
+        if (first || resized) {
+            this.selectedSeat = null;
+            this.selectedSeats = [];
+            this.renderSystem();
+        } else {
+            this.updateSeatGrid();
+            this.updateStats();
+            this.updateTreeVisualization();
+        }
+        return true;
     }
 
     /**
-     * Check if a specific seat is available for a range
-     * 
-     * @param {number} seatId - Seat index (0-based)
-     * @param {number} l - Start station (inclusive)
-     * @param {number} r - End station (exclusive)
-     * @returns {boolean}
+     * Tell the user what happened to the saved bookings on startup
      */
-    isAvailable(seatId, l, r) {
-        if (seatId < 0 || seatId >= this.numSeats) return false;
-        if (l < 0 || r > this.numStations || l >= r) return false;
-
-        return this.seats[seatId].query(l, r) === 0;
+    reportRestore() {
+        const { status, message } = this.restoreResult;
+
+        if (status === 'restored') {
+            this.addLogEntry(`Restored: ${message}`, 'info');
+        } else if (status === 'corrupted' || status === 'version') {
+            const title = status === 'version' ? 'Incompatible Save' : 'Corrupted Save';
+            this.showToast(title, message, 'error');
+            this.addLogEntry(`${title}: ${message}`, 'error');
+        }
     }
 
     /**
-     * Get seat status: 'available', 'booked', or 'partial'
-     * 
-     * @param {number} seatId - Seat index (0-based)
-     * @returns {string} Status string
+     * Persist the current system, reporting failures
      */
-    getSeatStatus(seatId) {
-        if (seatId < 0 || seatId >= this.numSeats) return 'available';
-
-        // Check entire journey
-        const maxOccupancy = this.seats[seatId].query(0, this.numSegments);
-
-        if (maxOccupancy === 0) {
-            return 'available';
-        }
+    saveState() {
+        // The booking server saves its own state
+        if (this.api) return;
 
-        // Check if fully booked (all segments occupied)
-        let allBooked = true;
-        for (let i = 0; i < this.numSegments; i++) {
-            if (this.seats[seatId].query(i, i + 1) === 0) {
-                allBooked = false;
-                break;
-            }
+        const result = this.storage.save(this.registry);
+        if (!result.success) {
+            this.addLogEntry(`Not saved: ${result.message}`, 'error');
         }
-
-        return allBooked ? 'booked' : 'partial';
     }
 
     /**
-     * Get active booking count
-     * @returns {number}
+     * Fill the header service picker and travel date
      */
-    getActiveBookings() {
-        return this.bookings.filter(b => b.active).length;
-    }
+    populateServicePicker() {
+        this.elements.serviceSelect.innerHTML = '';
+        this.SERVICES.forEach(service => {
+            const option = document.createElement('option');
+            option.value = service.id;
+            option.textContent = service.name;
+            this.elements.serviceSelect.appendChild(option);
+        });
 
-    /**
-     * Get global segment tree visualization showing seats booked per segment
-     * @returns {Array} Tree levels with seat counts
-     */
-    getGlobalTreeVisualization() {
-        return this.globalTree.getTreeVisualization();
+        this.elements.serviceSelect.value = this.serviceId;
+        this.elements.travelDate.value = this.travelDate;
     }
 
     /**
-     * Get segment tree for a specific seat
-     * @param {number} seatId - Seat index
-     * @returns {Array} Tree levels
+     * Show another service or travel date, rebuilding every view for it
+     * @param {string} serviceId
+     * @param {string} date - Travel date as YYYY-MM-DD
+     * @returns {boolean} Whether the switch happened
      */
-    getTreeVisualization(seatId) {
-        if (seatId < 0 || seatId >= this.numSeats) return [];
-        return this.seats[seatId].getTreeVisualization();
-    }
-}
-
-// ========================== UI CONTROLLER ===========================
-
-/**
- * UI Controller managing DOM interactions and visual feedback
- */
-class UIController {
-    constructor() {
-        // Configuration
-        this.NUM_SEATS = 24;      // 24 seats (3 rows of 8)
-        this.NUM_STATIONS = 10;   // 10 stations
-
-        // Initialize booking system
-        this.system = new SeatBookingSystem(this.NUM_SEATS, this.NUM_STATIONS);
+    switchService(serviceId, date) {
+        const system = this.registry.getSystem(serviceId, date);
+        if (!system) {
+            this.showToast('Invalid Service', 'Choose a service and a valid travel date', 'error');
+            this.populateServicePicker();
+            return false;
+        }
 
-        // State
+        // Leaving a past-state preview: the new service is always shown live
+        this.liveSystem = null;
+        this.serviceId = serviceId;
+        this.travelDate = date;
+        this.system = system;
         this.selectedSeat = null;
+        this.selectedSeats = [];
 
-        // DOM Elements
-        this.elements = {
-            fromStation: document.getElementById('fromStation'),
-            toStation: document.getElementById('toStation'),
-            seatGrid: document.getElementById('seatGrid'),
-            journeyProgress: document.getElementById('journeyProgress'),
-            stationMarkers: document.getElementById('stationMarkers'),
-            treeContainer: document.getElementById('treeContainer'),
-            historyLog: document.getElementById('historyLog'),
-            bookBtn: document.getElementById('bookBtn'),
-            cancelBtn: document.getElementById('cancelBtn'),
-            queryBtn: document.getElementById('queryBtn'),
-            toastContainer: document.getElementById('toastContainer'),
-            // Stats
-            totalSeats: document.getElementById('totalSeats'),
-            totalStations: document.getElementById('totalStations'),
-            activeBookings: document.getElementById('activeBookings')
-        };
+        this.populateServicePicker();
+        this.renderSystem();
 
-        // Initialize
-        this.init();
+        const service = this.registry.getService(serviceId);
+        this.addLogEntry(`Now showing ${service.name} on ${date}`, 'info');
+        return true;
     }
 
-    init() {
+    /**
+     * Rebuild every view after this.system was replaced
+     */
+    renderSystem() {
         this.populateStationSelects();
+        this.populateSeatFilters();
         this.createSeatGrid();
         this.createStationMarkers();
+        this.elements.lookupResult.innerHTML = '';
+        this.closeImport();
+        this.closeSplit();
         this.updateJourneyVisual();
+        this.updateSeatGrid();
         this.updateStats();
         this.updateTreeVisualization();
-        this.bindEvents();
     }
 
     /**
      * Populate station dropdown selects
      */
     populateStationSelects() {
-        for (let i = 0; i < this.NUM_STATIONS; i++) {
+        this.elements.fromStation.innerHTML = '';
+        this.elements.toStation.innerHTML = '';
+        this.elements.chartStation.innerHTML = '';
+
+        const route = this.system.route;
+        for (let i = 0; i < this.system.numStations; i++) {
             const option1 = document.createElement('option');
             option1.value = i;
-            option1.textContent = `Station ${i + 1}`;
+            option1.textContent = route.label(i);
+            option1.title = route.schedule(i);
             this.elements.fromStation.appendChild(option1);
 
             const option2 = document.createElement('option');
             option2.value = i;
-            option2.textContent = `Station ${i + 1}`;
+            option2.textContent = route.label(i);
+            option2.title = route.schedule(i);
             this.elements.toStation.appendChild(option2);
+
+            const option3 = document.createElement('option');
+            option3.value = i;
+            option3.textContent = route.label(i);
+            this.elements.chartStation.appendChild(option3);
         }
 
         // Default selection
+        this.elements.chartStation.value = 0;
         this.elements.fromStation.value = 0;
-        this.elements.toStation.value = 4;
+        this.elements.toStation.value = Math.min(4, this.system.numStations - 1);
+    }
+
+    /**
+     * Fill the seat filter selects with the options the layout offers
+     */
+    populateSeatFilters() {
+        const seats = this.system.layout.seats;
+        const fill = (select, anyLabel, values) => {
+            select.innerHTML = `<option value="">${anyLabel}</option>` +
+                values.map(([value, text]) => `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`).join('');
+            select.hidden = values.length < 2;
+        };
+        const unique = values => [...new Set(values.filter(Boolean))];
+
+        fill(this.elements.filterPosition, 'Any position',
+            unique(seats.map(s => s.position)).map(p => [p, p[0].toUpperCase() + p.slice(1)]));
+        fill(this.elements.filterBerth, 'Any berth',
+            unique(seats.map(s => s.berth)).map(b => [b, this.BERTHS[b] || b]));
+        fill(this.elements.filterCoach, 'Any coach',
+            unique(seats.map(s => s.coach)).map(c => [c, `Coach ${c}`]));
     }
 
     /**
-     * Create the seat grid UI
+     * Create the seat grid UI from the service's layout, one block per
+     * coach with gaps for the aisle
      */
     createSeatGrid() {
+        const layout = this.system.layout;
+        const width = layout.width;
         this.elements.seatGrid.innerHTML = '';
+        this.elements.seatGrid.style.setProperty('--grid-columns', width);
 
-        for (let i = 0; i < this.NUM_SEATS; i++) {
-            const seat = document.createElement('div');
-            seat.className = 'seat';
-            seat.dataset.seatId = i;
-            seat.textContent = i + 1;
-            seat.addEventListener('click', () => this.selectSeat(i));
-            this.elements.seatGrid.appendChild(seat);
-        }
+        const gap = () => {
+            const cell = document.createElement('div');
+            cell.className = 'seat-gap';
+            return cell;
+        };
+
+        let seatId = 0;
+        layout.coaches.forEach(coach => {
+            if (coach.code) {
+                const label = document.createElement('div');
+                label.className = 'coach-label';
+                label.textContent = coach.fareClass ? `${coach.code} · ${coach.fareClass}` : coach.code;
+                this.elements.seatGrid.appendChild(label);
+            }
+
+            coach.rows.forEach(row => {
+                row.forEach(cell => {
+                    if (!cell) {
+                        this.elements.seatGrid.appendChild(gap());
+                        return;
+                    }
+
+                    const i = seatId++;
+                    const info = layout.seats[i];
+                    const seat = document.createElement('div');
+                    seat.className = this.system.racSeats.includes(i) ? 'seat rac-seat' : 'seat';
+                    seat.dataset.seatId = i;
+                    seat.textContent = info.berth ? `${info.number}${info.berth}` : info.number;
+                    seat.title = [layout.label(i), info.position, this.BERTHS[info.berth], info.fareClass]
+                        .filter(Boolean).join(' · ');
+                    seat.addEventListener('click', (e) => {
+                        this.selectSeat(i, e.ctrlKey || e.metaKey || e.shiftKey);
+                    });
+                    this.elements.seatGrid.appendChild(seat);
+                });
+                // Pad short rows so the next row starts on a new line
+                for (let c = row.length; c < width; c++) {
+                    this.elements.seatGrid.appendChild(gap());
+                }
+            });
+        });
     }
 
     /**
-     * Create station markers below the journey track
+     * Create station markers below the journey track, spaced by distance
      */
     createStationMarkers() {
         this.elements.stationMarkers.innerHTML = '';
 
-        for (let i = 0; i < this.NUM_STATIONS; i++) {
+        const route = this.system.route;
+        const last = this.system.numStations - 1;
+        let lastLabelled = -1;
+
+        for (let i = 0; i <= last; i++) {
+            const position = route.position(i);
+            // Skip labels that would overlap a neighbour; the terminus always gets one
+            const crowded = i !== last && (
+                (lastLabelled >= 0 && position - route.position(lastLabelled) < 0.06) ||
+                1 - position < 0.06);
+            if (!crowded) lastLabelled = i;
+
             const marker = document.createElement('div');
             marker.className = 'station-marker';
+            marker.style.left = `${position * 100}%`;
+            marker.title = [route.label(i), `${route.distance(0, i)} km`, route.schedule(i)]
+                .filter(Boolean).join(' · ');
             marker.innerHTML = `
                 <div class="station-dot" data-station="${i}"></div>
-                <span class="station-label">${i + 1}</span>
+                <span class="station-label">${crowded ? '' : escapeHtml(route.shortLabel(i))}</span>
             `;
             this.elements.stationMarkers.appendChild(marker);
         }
     }
 
+    /**
+     * Update the per-segment load heat bar and the load summary
+     */
+    updateLoadPanel() {
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
+        const loads = this.system.getSegmentLoads();
+        const route = this.system.route;
+
+        this.elements.loadHeatBar.innerHTML = '';
+        loads.forEach((load, i) => {
+            const cell = document.createElement('div');
+            const ratio = load / this.system.numSeats;
+            cell.className = 'heat-cell';
+            cell.style.flexGrow = route.distance(i, i + 1);
+            if (i >= from && i < to) cell.classList.add('in-range');
+            cell.style.background = load > 0
+                ? `rgba(185, 28, 28, ${0.2 + 0.8 * ratio})`
+                : '';
+            cell.title = `${route.label(i)} - ${route.label(i + 1)}: ${load} of ${this.system.numSeats} seats booked`;
+            this.elements.loadHeatBar.appendChild(cell);
+        });
+
+        const peak = this.system.getPeakLoad();
+        this.elements.peakLoad.textContent = peak.load > 0
+            ? `${peak.load} seats, ${this.system.stretchText(peak.segment, peak.segment + 1)}`
+            : 'No bookings yet';
+
+        if (from < to) {
+            const range = this.system.getPeakLoad(from, to);
+            this.elements.rangeLoad.textContent =
+                `${range.load} seats (${this.system.stretchText(range.segment, range.segment + 1)})`;
+            this.elements.rangeFree.textContent =
+                `${this.system.countAvailable(from, to)} of ${this.system.numSeats}`;
+        } else {
+            this.elements.rangeLoad.textContent = '-';
+            this.elements.rangeFree.textContent = '-';
+        }
+    }
+
+    /**
+     * Switch the tree card between the selected seat and the global tree
+     * @param {string} view - 'seat' or 'global'
+     */
+    setTreeView(view) {
+        this.closeTrace();
+        this.treeView = view;
+        this.elements.treeTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.treeView === view);
+        });
+        this.updateTreeVisualization();
+    }
+
     /**
      * Update journey progress bar visual
      */
@@ -599,9 +542,10 @@ class UIController {
         const from = parseInt(this.elements.fromStation.value);
         const to = parseInt(this.elements.toStation.value);
 
-        // Update progress bar
-        const startPercent = (from / (this.NUM_STATIONS - 1)) * 100;
-        const widthPercent = ((to - from) / (this.NUM_STATIONS - 1)) * 100;
+        // Update progress bar, scaled by distance like the station markers
+        const route = this.system.route;
+        const startPercent = route.position(from) * 100;
+        const widthPercent = (route.position(to) - route.position(from)) * 100;
 
         this.elements.journeyProgress.style.marginLeft = `${startPercent}%`;
         this.elements.journeyProgress.style.width = `${Math.max(0, widthPercent)}%`;
@@ -620,19 +564,33 @@ class UIController {
 
     /**
      * Select a seat
+     * @param {number} seatId - Seat index
+     * @param {boolean} additive - Toggle the seat in a multi-seat selection
      */
-    selectSeat(seatId) {
+    selectSeat(seatId, additive = false) {
         // Update selection
-        this.selectedSeat = seatId;
+        if (!additive) {
+            this.selectedSeats = [seatId];
+        } else if (this.selectedSeats.includes(seatId)) {
+            this.selectedSeats = this.selectedSeats.filter(id => id !== seatId);
+        } else {
+            this.selectedSeats.push(seatId);
+        }
+        this.selectedSeat = this.selectedSeats.length > 0
+            ? this.selectedSeats[this.selectedSeats.length - 1]
+            : null;
 
         // Update seat visuals
         const seats = this.elements.seatGrid.querySelectorAll('.seat');
         seats.forEach((seat, i) => {
             seat.classList.remove('selected', 'available-result');
-            if (i === seatId) {
+            if (this.selectedSeats.includes(i)) {
                 seat.classList.add('selected');
             }
         });
+        this.elements.timeline.querySelectorAll('.timeline-seat').forEach(label => {
+            label.classList.toggle('selected', this.selectedSeats.includes(Number(label.dataset.seatId)));
+        });
 
         // Update tree visualization
         this.updateTreeVisualization();
@@ -650,9 +608,11 @@ class UIController {
             const status = this.system.getSeatStatus(i);
             const isAvailableForRange = this.system.isAvailable(i, from, to);
 
-            seat.classList.remove('booked', 'partial', 'available-result');
+            seat.classList.remove('booked', 'partial', 'held', 'available-result');
 
-            if (status === 'booked') {
+            if (this.system.holds.some(h => h.seatId === i)) {
+                seat.classList.add('held');
+            } else if (status === 'booked') {
                 seat.classList.add('booked');
             } else if (status === 'partial') {
                 if (!isAvailableForRange) {
@@ -660,20 +620,159 @@ class UIController {
                 }
             }
         });
+        this.renderTimeline();
+    }
+
+    /**
+     * Draw the seat timeline: a row per seat and a column per segment,
+     * with a bar for every active booking and hold. The selected journey's
+     * segments are shaded, and the booking shown in the lookup card is
+     * outlined.
+     */
+    renderTimeline() {
+        const system = this.system;
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
+        const shownPnr = this.elements.pnrInput.value.trim();
+        const place = (row, l, r) => `grid-row: ${row + 2}; grid-column: ${l + 2} / ${r + 2}`;
+        const items = [];
+
+        // Each segment is headed by the station it starts from
+        for (let i = 0; i < system.numSegments; i++) {
+            items.push(`<div class="timeline-head" style="grid-row: 1; grid-column: ${i + 2}"
+                title="${escapeHtml(system.stretchText(i, i + 1))}">${escapeHtml(system.route.shortLabel(i))}</div>`);
+        }
+
+        for (let seatId = 0; seatId < system.numSeats; seatId++) {
+            const selected = this.selectedSeats.includes(seatId) ? ' selected' : '';
+            items.push(`<div class="timeline-seat${selected}" data-seat-id="${seatId}" style="grid-row: ${seatId + 2}">${escapeHtml(system.seatLabel(seatId))}</div>`);
+            for (let i = 0; i < system.numSegments; i++) {
+                const inRange = i >= from && i < to ? ' in-range' : '';
+                items.push(`<div class="timeline-cell${inRange}" data-seat-id="${seatId}" data-segment="${i}"
+                    style="${place(seatId, i, i + 1)}"></div>`);
+            }
+        }
+
+        // Two RAC passengers may share a seat: the second one's bar goes below
+        const racBars = [];
+        system.bookings.filter(b => b.active).forEach(b => {
+            let lower = false;
+            if (b.status === 'RAC') {
+                lower = racBars.some(o => o.seatId === b.seatId && !o.lower && o.from < b.to && o.to > b.from);
+                racBars.push({ ...b, lower });
+            }
+            const classes = ['timeline-bar', b.status === 'RAC' && 'rac', lower && 'lower', b.pnr === shownPnr && 'selected'];
+            const title = [`PNR ${b.pnr}`, `Seat ${system.seatLabel(b.seatId)}`, system.stretchText(b.from, b.to),
+                b.status, b.passenger && b.passenger.name].filter(Boolean).join(' · ');
+            items.push(`<div class="${classes.filter(Boolean).join(' ')}" data-pnr="${b.pnr}" style="${place(b.seatId, b.from, b.to)}"
+                title="${escapeHtml(title)}">${escapeHtml(b.passenger ? b.passenger.name : b.pnr)}</div>`);
+        });
+        system.holds.forEach(h => {
+            items.push(`<div class="timeline-bar held" style="${place(h.seatId, h.from, h.to)}"
+                title="Hold ${h.id} · Seat ${escapeHtml(system.seatLabel(h.seatId))} · ${escapeHtml(system.stretchText(h.from, h.to))}">Hold</div>`);
+        });
+
+        this.elements.timeline.style.setProperty('--timeline-segments', system.numSegments);
+        this.elements.timeline.innerHTML = items.join('');
+        this.showTimelineDrag();
+    }
+
+    /**
+     * Shade the cells the current timeline drag covers
+     */
+    showTimelineDrag() {
+        const drag = this.timelineDrag;
+        this.elements.timeline.querySelectorAll('.timeline-cell').forEach(cell => {
+            const segment = Number(cell.dataset.segment);
+            cell.classList.toggle('dragging', Boolean(drag) && Number(cell.dataset.seatId) === drag.seatId &&
+                segment >= Math.min(drag.start, drag.end) && segment <= Math.max(drag.start, drag.end));
+        });
+    }
+
+    /**
+     * End a timeline drag. A drag across several segments books the seat
+     * for them; a click on one cell only selects the seat and the segment,
+     * so a stray click never books.
+     */
+    finishTimelineDrag() {
+        const drag = this.timelineDrag;
+        if (!drag) return;
+        this.timelineDrag = null;
+        this.showTimelineDrag();
+
+        const l = Math.min(drag.start, drag.end);
+        const r = Math.max(drag.start, drag.end) + 1;
+        if (drag.moved && !this.ensureLive()) return;
+        if (drag.moved && !this.system.isAvailable(drag.seatId, l, r)) {
+            this.showToast('Seat Taken', `Seat ${this.system.seatLabel(drag.seatId)} is not free ${this.system.journeyText(l, r)}`, 'error');
+            return;
+        }
+
+        this.elements.fromStation.value = l;
+        this.elements.toStation.value = r;
+        this.updateJourneyVisual();
+        this.updateLoadPanel();
+        this.selectSeat(drag.seatId);
+        if (drag.moved) {
+            this.handleBook();
+        } else {
+            this.updateSeatGrid();
+        }
+    }
+
+    /**
+     * Show a booking picked in the timeline in the lookup card, where it
+     * can be cancelled, edited or moved
+     * @param {string} pnr
+     */
+    selectTimelineBooking(pnr) {
+        const booking = this.system.bookings.find(b => b.pnr === pnr && b.active);
+        if (!booking) return;
+
+        this.selectSeat(booking.seatId);
+        this.showBooking(pnr);
+        this.renderTimeline();
+        this.elements.lookupResult.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
     }
 
     /**
      * Visualize segment tree for selected seat
      */
     updateTreeVisualization() {
+        if (this.treeTrace) {
+            this.renderTreeTrace();
+            return;
+        }
+
+        if (this.treeView === 'global') {
+            this.renderTree(
+                this.system.getGlobalTreeVisualization(),
+                'Route Load - Global Segment Tree',
+                'Each node shows: Value (max seats booked) | Range (segment coverage)'
+            );
+            return;
+        }
+
         if (this.selectedSeat === null) {
             this.elements.treeContainer.innerHTML =
                 '<p class="placeholder-text">Select a seat to view its segments</p>';
             return;
         }
 
-        const levels = this.system.getTreeVisualization(this.selectedSeat);
+        this.renderTree(
+            this.system.getTreeVisualization(this.selectedSeat),
+            `Seat ${escapeHtml(this.system.seatLabel(this.selectedSeat))} - Segment Tree Visualization`,
+            'Each node shows: Value (max occupancy) | Range (segment coverage)'
+        );
+    }
 
+    /**
+     * Render tree levels into the tree container
+     * @param {Array} levels - Levels from getTreeVisualization()
+     * @param {string} title - Heading above the tree
+     * @param {string} subtitle - Explanation of node values
+     */
+    renderTree(levels, title, subtitle) {
         if (levels.length === 0) {
             this.elements.treeContainer.innerHTML =
                 '<p class="placeholder-text">No data</p>';
@@ -681,10 +780,10 @@ class UIController {
         }
 
         let html = `<div style="text-align: center; margin-bottom: 0.75rem; font-size: 0.8rem; color: var(--text-primary); font-weight: 500;">
-            Seat ${this.selectedSeat + 1} - Segment Tree Visualization
+            ${title}
         </div>
         <div style="text-align: center; margin-bottom: 0.5rem; font-size: 0.65rem; color: var(--text-muted);">
-            Each node shows: Value (max occupancy) | Range (segment coverage)
+            ${subtitle}
         </div>`;
 
         levels.forEach((level, levelIdx) => {
@@ -693,7 +792,7 @@ class UIController {
             level.forEach(node => {
                 // node is now an object with {value, range}
                 const nodeClass = node.value > 0 ? 'tree-node booked' : 'tree-node';
-                html += `<div class="${nodeClass}" title="Range: ${node.range}, Max Occupancy: ${node.value}">
+                html += `<div class="${nodeClass}" title="Range: ${node.range}, Max: ${node.value}">
                     <div style="font-weight: 600;">${node.value}</div>
                     <div style="font-size: 0.6rem; opacity: 0.8;">${node.range}</div>
                 </div>`;
@@ -705,17 +804,516 @@ class UIController {
     }
 
     /**
-     * Update statistics display
+     * Record the tree calls the chosen operation makes for the selected
+     * journey, on a copy of the shown tree, and open them in the tree card
      */
-    updateStats() {
-        this.elements.totalSeats.textContent = this.NUM_SEATS;
-        this.elements.totalStations.textContent = this.NUM_STATIONS;
-        this.elements.activeBookings.textContent = this.system.getActiveBookings();
-    }
+    handleTrace() {
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
 
-    /**
-     * Add entry to booking history log
-     */
+        if (from >= to) {
+            this.showToast('Invalid Range', 'Departure must be before arrival', 'error');
+            return;
+        }
+        if (this.treeView === 'seat' && this.selectedSeat === null) {
+            this.showToast('No Seat Selected', 'Select a seat to step through its tree, or switch to Route Load', 'error');
+            return;
+        }
+
+        const seatId = this.treeView === 'global' ? null : this.selectedSeat;
+        const result = this.system.traceOperation(this.elements.traceOp.value, from, to, seatId);
+        if (!result.success) {
+            this.showToast('Nothing to Trace', result.message, 'error');
+            return;
+        }
+
+        this.stopTracePlayback();
+        this.treeTrace = { trace: result.trace, tree: result.tree, step: 0, message: result.message };
+        this.traceOpen = new Map();
+        this.renderTreeTrace();
+    }
+
+    /**
+     * Draw the traced tree at the current step: every node down to the
+     * leaves, with the step's node highlighted by overlap case, the nodes
+     * it wrote filled in, and lazy tags not yet pushed down. Subtrees below
+     * level 3 start collapsed once the tree has more than 16 leaves; the
+     * path to the current node is always open.
+     */
+    renderTreeTrace() {
+        const { trace, tree, step, message } = this.treeTrace;
+        const total = trace.steps.length;
+        const current = step > 0 ? trace.steps[step - 1] : null;
+        const changed = new Set(current ? current.changes.map(change => change.node) : []);
+        const visited = new Set(trace.steps.slice(0, step).map(s => s.node));
+        const path = new Set();
+        for (let node = current ? current.node : 0; ; node = (node - 1) >> 1) {
+            path.add(node);
+            if (node === 0) break;
+        }
+
+        const renderNode = (n, depth) => {
+            const classes = ['trace-node'];
+            if (n.value > 0) classes.push('booked');
+            if (visited.has(n.node)) classes.push('visited');
+            if (current && current.node === n.node) {
+                classes.push('current', `overlap-${current.op === 'pushDown' ? 'push' : current.overlap}`);
+            }
+            if (changed.has(n.node)) classes.push('changed');
+
+            const lazy = n.lazy !== 0
+                ? `<span class="trace-lazy" title="Lazy tag, not yet pushed to the children">lazy ${n.lazy > 0 ? '+' : ''}${n.lazy}</span>`
+                : '';
+            const label = `<span class="${classes.join(' ')}" title="Node ${n.node}, max ${n.value}">
+                <strong>${n.value}</strong><span class="trace-range">[${n.start + 1},${n.end + 1})</span>${lazy}
+            </span>`;
+            if (n.children.length === 0) return `<div class="trace-leaf">${label}</div>`;
+
+            const open = path.has(n.node) ||
+                (this.traceOpen.has(n.node) ? this.traceOpen.get(n.node) : trace.n <= 16 || depth < 3);
+            return `<details data-node="${n.node}"${open ? ' open' : ''}>
+                <summary>${label}</summary>
+                <div class="trace-children">${n.children.map(child => renderNode(child, depth + 1)).join('')}</div>
+            </details>`;
+        };
+
+        const button = (action, text, disabled) =>
+            `<button class="tab" data-trace="${action}"${disabled ? ' disabled' : ''}>${text}</button>`;
+
+        this.elements.treeContainer.innerHTML = `
+            <div class="trace-title">${escapeHtml(message)}</div>
+            <div class="trace-player">
+                ${button('first', '&laquo;', step === 0)}
+                ${button('prev', '&lsaquo;', step === 0)}
+                ${button('play', this.traceTimer ? 'Pause' : 'Play', total === 0)}
+                ${button('next', '&rsaquo;', step === total)}
+                ${button('last', '&raquo;', step === total)}
+                <span class="trace-count">Step ${step} of ${total}</span>
+                ${button('close', 'Close', false)}
+            </div>
+            <div class="trace-step">${current
+                ? escapeHtml(SegmentTree.describeStep(current))
+                : `${total} calls recorded. Step forward to follow them from the root.`}</div>
+            <div class="trace-tree">${renderNode(tree.getTreeNodes(SegmentTree.traceState(trace, step)), 0)}</div>`;
+    }
+
+    /**
+     * Move through the trace shown in the tree card
+     * @param {string} action - 'first', 'prev', 'next', 'last', 'play' (toggles) or 'close'
+     */
+    stepTrace(action) {
+        if (!this.treeTrace) return;
+        const total = this.treeTrace.trace.steps.length;
+
+        if (action === 'close') {
+            this.closeTrace();
+            this.updateTreeVisualization();
+            return;
+        }
+        if (action === 'play') {
+            if (this.traceTimer) {
+                this.stopTracePlayback();
+            } else {
+                if (this.treeTrace.step === total) this.treeTrace.step = 0;
+                this.traceTimer = setInterval(() => {
+                    this.treeTrace.step++;
+                    if (this.treeTrace.step >= total) this.stopTracePlayback();
+                    this.renderTreeTrace();
+                }, 700);
+            }
+            this.renderTreeTrace();
+            return;
+        }
+
+        this.stopTracePlayback();
+        const steps = { first: 0, prev: this.treeTrace.step - 1, next: this.treeTrace.step + 1, last: total };
+        this.treeTrace.step = Math.max(0, Math.min(total, steps[action]));
+        this.renderTreeTrace();
+    }
+
+    /**
+     * Stop playing the trace, keeping the current step
+     */
+    stopTracePlayback() {
+        if (this.traceTimer) clearInterval(this.traceTimer);
+        this.traceTimer = null;
+    }
+
+    /**
+     * Leave the trace; the tree card shows the live tree again on its next update
+     */
+    closeTrace() {
+        this.stopTracePlayback();
+        this.treeTrace = null;
+    }
+
+    /**
+     * Read the passenger fields of the booking form
+     * @returns {Object|null} Passenger details, or null if all fields are empty
+     */
+    readPassenger() {
+        const name = this.elements.passengerName.value.trim();
+        const age = this.elements.passengerAge.value.trim();
+        const contact = this.elements.passengerContact.value.trim();
+
+        if (!name && !age && !contact) return null;
+        return { name, age, contact };
+    }
+
+    /**
+     * Clear the passenger fields after a successful booking
+     */
+    clearPassenger() {
+        this.elements.passengerName.value = '';
+        this.elements.passengerAge.value = '';
+        this.elements.passengerContact.value = '';
+    }
+
+    /**
+     * Look up a PNR and show its records in the lookup card
+     * @param {string} pnr - Booking reference
+     */
+    showBooking(pnr) {
+        // A PNR from another service or date switches to it
+        if (!this.api && !this.system.findBooking(pnr).success) {
+            const match = this.registry.findByPnr(pnr);
+            if (match) this.switchService(match.serviceId, match.date);
+        }
+
+        this.elements.pnrInput.value = pnr;
+        const result = this.system.findBooking(pnr);
+
+        if (!result.success) {
+            this.elements.lookupResult.innerHTML =
+                `<p class="placeholder-text">${escapeHtml(result.message)}</p>`;
+            return;
+        }
+
+        const records = result.bookings.map(b => {
+            const status = b.active
+                ? (b.status === 'RAC' ? 'Active (RAC)' : 'Active')
+                : b.replacedBy ? `Replaced by #${b.replacedBy.join(', #')}` : 'Cancelled';
+            return `<div class="lookup-record ${b.active ? 'active' : ''}">
+                <span>#${b.id} · Seat ${escapeHtml(this.system.seatLabel(b.seatId))} · ${escapeHtml(this.system.stretchText(b.from, b.to))}${b.fare && this.system.fares ? ` · ${this.system.fares.format(b.fare.total)}` : ''}</span>
+                <span class="lookup-status">${status}</span>
+            </div>`;
+        }).join('');
+
+        const entry = result.waitlist;
+        const queue = entry ? `
+            <div class="lookup-record ${entry.status === 'WL' || entry.status === 'RAC' ? 'queued' : ''}">
+                <span>Requested ${escapeHtml(this.system.stretchText(entry.from, entry.to))}</span>
+                <span class="lookup-status">${entry.status}${this.system.getWaitlistPosition(entry) ? ` ${this.system.getWaitlistPosition(entry)}` : ''}</span>
+            </div>
+            ${entry.statusLog.map(log => `
+            <div class="lookup-log">
+                <span>${new Date(log.at).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' })}</span>
+                <span>${escapeHtml(log.note)}</span>
+            </div>`).join('')}` : '';
+
+        const latest = result.bookings.find(b => b.active) || result.bookings[result.bookings.length - 1] || entry;
+        const passenger = latest.passenger
+            ? `${escapeHtml(latest.passenger.name)}${latest.passenger.age !== null ? `, ${latest.passenger.age}` : ''}` +
+              `${latest.passenger.contact ? ` · ${escapeHtml(latest.passenger.contact)}` : ''}`
+            : 'No passenger details';
+        const hasActive = result.bookings.some(b => b.active) || (entry && entry.status === 'WL');
+
+        this.elements.lookupResult.innerHTML = `
+            <div class="lookup-header">
+                <span class="lookup-pnr">PNR ${escapeHtml(latest.pnr)}</span>
+                <span class="lookup-passenger">${passenger}</span>
+            </div>
+            ${queue}
+            ${records}
+            ${hasActive ? `
+            <div class="lookup-actions">
+                <button class="btn btn-secondary" data-action="cancel">Cancel Booking</button>
+                <button class="btn btn-accent" data-action="edit">Edit Passenger</button>
+                <button class="btn btn-primary lookup-move" data-action="move">Move to Selected Seat &amp; Stations</button>
+            </div>
+            <div class="passenger-fields lookup-edit" hidden>
+                <input class="station-select" data-field="name" placeholder="Name"
+                    value="${escapeHtml(latest.passenger ? latest.passenger.name : '')}">
+                <input class="station-select" data-field="age" type="number" min="0" max="120" placeholder="Age"
+                    value="${latest.passenger && latest.passenger.age !== null ? latest.passenger.age : ''}">
+                <input class="station-select" data-field="contact" placeholder="Phone or email"
+                    value="${escapeHtml(latest.passenger ? latest.passenger.contact : '')}">
+                <button class="btn btn-primary" data-action="save">Save</button>
+            </div>` : ''}
+        `;
+    }
+
+    /**
+     * Handle the buttons inside the lookup card
+     * @param {string} action - 'cancel', 'edit', 'save' or 'move'
+     */
+    async handleLookupAction(action) {
+        const pnr = this.elements.pnrInput.value.trim();
+        const editForm = this.elements.lookupResult.querySelector('.lookup-edit');
+
+        if (action === 'edit') {
+            editForm.hidden = !editForm.hidden;
+            return;
+        }
+        if (!this.ensureLive()) return;
+
+        let result;
+        if (action === 'cancel') {
+            result = this.api ? await this.api.cancelByPnr(pnr) : this.system.cancelByPnr(pnr);
+            if (this.api) await this.refreshFromApi();
+        } else {
+            let changes;
+            if (action === 'move') {
+                if (this.selectedSeat === null) {
+                    this.showToast('No Seat Selected', 'Select the seat to move the booking to', 'error');
+                    return;
+                }
+                changes = {
+                    seat: this.selectedSeat,
+                    from: parseInt(this.elements.fromStation.value),
+                    to: parseInt(this.elements.toStation.value)
+                };
+            } else {
+                const field = name => editForm.querySelector(`[data-field="${name}"]`).value.trim();
+                changes = { passenger: { name: field('name'), age: field('age'), contact: field('contact') } };
+            }
+            result = this.api ? await this.api.modifyBooking(pnr, changes) : this.system.modifyBooking(pnr, changes);
+            if (this.api) await this.refreshFromApi();
+        }
+
+        if (result.success) {
+            this.showToast(action === 'cancel' ? 'Cancelled' : 'Booking Updated', result.message, 'success');
+            this.addLogEntry(`${action === 'cancel' ? 'Cancelled' : 'Modified'}: ${result.message}`, 'success');
+            this.logPromotions(result.promotions);
+            this.saveState();
+        } else {
+            this.showToast('Request Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+
+        this.showBooking(pnr);
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Update statistics display
+     */
+    updateStats() {
+        this.elements.totalSeats.textContent = this.system.numSeats;
+        this.elements.totalStations.textContent = this.system.numStations;
+        this.elements.activeBookings.textContent = this.system.getActiveBookings();
+        this.elements.waitlisted.textContent =
+            this.system.waitlist.filter(e => e.status === 'WL' || e.status === 'RAC').length;
+        this.elements.revenue.textContent = this.system.fares
+            ? this.system.fares.format(this.system.getRevenue())
+            : '-';
+        this.updateLoadPanel();
+        this.updateJournalControls();
+        this.renderHolds();
+        this.renderChart();
+        this.renderReport();
+    }
+
+    /**
+     * Show who boards and alights at the chart's station, and the seats
+     * free from there to the end of the route
+     */
+    renderChart() {
+        const system = this.system;
+        const station = parseInt(this.elements.chartStation.value) || 0;
+        const entry = system.getStationChart()[station];
+        if (!entry) return;
+
+        const passenger = (b, type) => `
+            <div class="chart-row ${type}">
+                <span>Seat ${escapeHtml(system.seatLabel(b.seatId))} · ${escapeHtml(system.stretchText(b.from, b.to))}${b.status === 'RAC' ? ' · RAC' : ''}</span>
+                <span>${b.passenger ? escapeHtml(b.passenger.name) : `PNR ${b.pnr}`}</span>
+            </div>`;
+        const section = (title, items) => `<div class="chart-heading">${title} (${items.length})</div>${items.join('')}`;
+
+        // Seats freed here are highlighted, except at the first station where all are
+        const freed = new Set(station > 0 ? entry.freed : []);
+        const vacant = entry.vacant.map(id =>
+            `<span${freed.has(id) ? ' class="freed"' : ''}>${escapeHtml(system.seatLabel(id))}</span>`).join(' ');
+
+        this.elements.chartView.innerHTML = [
+            section('Boarding', entry.boarding.map(b => passenger(b, 'boarding'))),
+            section('Alighting', entry.alighting.map(b => passenger(b, 'alighting'))),
+            station < system.numSegments
+                ? `<div class="chart-heading">Vacant to the end (${entry.vacant.length})</div>
+                   <div class="chart-seats">${vacant || 'None'}</div>`
+                : ''
+        ].join('');
+    }
+
+    /**
+     * Draw the chosen report as a bar chart, one bar per row. Hovering a
+     * bar shows the row's other columns.
+     */
+    renderReport() {
+        const report = buildReport(this.system, this.elements.reportSelect.value);
+        if (!report.success) return;
+
+        const { label, value, unit } = report.chart;
+        // Percentages are drawn against 100%, counts against the largest
+        const scale = Math.max(unit === '%' ? 100 : 0, ...report.rows.map(row => row[value]), 1);
+        const format = (column, v) => {
+            if (column === value) return `${v}${unit}`;
+            return column === 'revenue' && this.system.fares ? this.system.fares.format(v) : v;
+        };
+
+        this.elements.reportSummary.textContent = report.message;
+        this.elements.reportChart.innerHTML = report.rows.map(row => {
+            const details = report.columns
+                .filter(column => row[column] !== null && row[column] !== undefined)
+                .map(column => `${column.replace('_', ' ')}: ${format(column, row[column])}`)
+                .join(', ');
+            return `<div class="report-row" title="${escapeHtml(details)}">
+                <span class="report-label">${escapeHtml(row[label])}</span>
+                <span class="report-bar"><span style="width: ${Math.min(100, row[value] / scale * 100)}%"></span></span>
+                <span class="report-value">${format(value, row[value])}</span>
+            </div>`;
+        }).join('') || '<p class="placeholder-text">Nothing to report yet</p>';
+    }
+
+    /**
+     * List the current holds with their time left
+     */
+    renderHolds() {
+        const live = this.liveSystem || this.system;
+        const now = Date.now();
+
+        this.elements.holdList.innerHTML = live.holds.map(h => {
+            const left = Math.max(0, Math.ceil((h.expiresAt - now) / 1000));
+            const time = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+            return `<div class="hold-item">
+                <span>Seat ${escapeHtml(live.seatLabel(h.seatId))} · ${escapeHtml(live.stretchText(h.from, h.to))} · ${time} left</span>
+                <button class="btn btn-primary" data-hold-action="confirm" data-hold-id="${h.id}">Confirm</button>
+                <button class="btn btn-secondary" data-hold-action="release" data-hold-id="${h.id}">Release</button>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Release expired holds and update the countdowns. Booking and query
+     * calls also release expired holds, so a hold seen at the last tick
+     * that is gone now and past its time counts as expired here too.
+     */
+    tickHolds() {
+        const live = this.liveSystem || this.system;
+        live.expireHolds();
+        const now = new Date();
+        const seen = this.seenHolds && this.seenHolds.system === live ? this.seenHolds.holds : [];
+        const expired = seen.filter(h => !live.holds.includes(h) && h.expiresAt <= now);
+        this.seenHolds = { system: live, holds: [...live.holds] };
+
+        if (expired.length > 0) {
+            expired.forEach(h => {
+                this.addLogEntry(`Hold expired: seat ${live.seatLabel(h.seatId)} ${live.journeyText(h.from, h.to)}`, 'info');
+            });
+            this.updateSeatGrid();
+            this.updateTreeVisualization();
+        }
+        this.renderHolds();
+    }
+
+    /**
+     * Sync the undo/redo buttons and the time travel slider with the journal
+     */
+    updateJournalControls() {
+        const journal = (this.liveSystem || this.system).journal;
+        const previewing = this.liveSystem !== null;
+
+        this.elements.undoBtn.disabled = previewing || this.api !== null || !journal.canUndo();
+        this.elements.redoBtn.disabled = previewing || this.api !== null || !journal.canRedo();
+        this.elements.timeTravel.disabled = this.api !== null;
+        this.elements.timeTravel.max = journal.cursor;
+
+        if (!previewing) {
+            this.elements.timeTravel.value = journal.cursor;
+            this.elements.timeTravelLabel.textContent = 'Now';
+        }
+    }
+
+    /**
+     * Refuse changes while a past state is shown
+     * @returns {boolean} True if the live system is shown
+     */
+    ensureLive() {
+        if (this.liveSystem) {
+            this.showToast('Viewing the Past', 'Move the history slider back to "Now" to make changes', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Refuse actions the booking server does not offer
+     * @returns {boolean} True if bookings are made in the page
+     */
+    ensureLocal() {
+        if (this.api) {
+            this.showToast('Booking Server', 'This action is not available when booking through the server', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Show the system as it was after a number of journal events
+     * @param {number} count - Events to replay; the cursor means now
+     */
+    handleTimeTravel(count) {
+        const live = this.liveSystem || this.system;
+        const journal = live.journal;
+
+        if (count >= journal.cursor) {
+            this.system = live;
+            this.liveSystem = null;
+        } else {
+            this.liveSystem = live;
+            this.system = live.stateAt(count);
+            const event = journal.events[count - 1];
+            this.elements.timeTravelLabel.textContent = event
+                ? `After #${count}: ${new Date(event.at).toLocaleTimeString('en-US', { hour12: false })}`
+                : 'Before any bookings';
+        }
+
+        document.body.classList.toggle('previewing', this.liveSystem !== null);
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Undo or redo the last operation
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    handleUndoRedo(direction) {
+        if (!this.ensureLive() || !this.ensureLocal()) return;
+
+        const result = direction === 'undo' ? this.system.undo() : this.system.redo();
+
+        if (result.success) {
+            this.addLogEntry(result.message, 'info');
+            this.saveState();
+        } else {
+            this.showToast(direction === 'undo' ? 'Undo' : 'Redo', result.message, 'error');
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Add entry to booking history log
+     * @param {string} message - Plain text; escaped here, since messages carry
+     *     station names, passenger names and file names
+     * @param {string} type - 'info', 'success' or 'error'
+     */
     addLogEntry(message, type = 'info') {
         const now = new Date();
         const time = now.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
@@ -724,7 +1322,7 @@ class UIController {
         entry.className = `log-entry ${type}`;
         entry.innerHTML = `
             <span class="log-time">${time}</span>
-            <span class="log-message">${message}</span>
+            <span class="log-message">${escapeHtml(message)}</span>
         `;
 
         // Remove welcome message if present
@@ -740,8 +1338,22 @@ class UIController {
         }
     }
 
+    /**
+     * Log waitlist and RAC status changes caused by a cancellation
+     * @param {string[]} promotions - Messages from processWaitlist()
+     */
+    logPromotions(promotions = []) {
+        promotions.forEach(message => this.addLogEntry(`Waitlist: ${message}`, 'info'));
+        if (promotions.length > 0) {
+            this.showToast('Waitlist Updated', `${promotions.length} request(s) moved up`, 'info');
+        }
+    }
+
     /**
      * Show toast notification
+     * @param {string} title - Plain text
+     * @param {string} message - Plain text; escaped here, as for addLogEntry()
+     * @param {string} type - 'success', 'error' or 'info'
      */
     showToast(title, message, type = 'info') {
         const icons = {
@@ -755,8 +1367,8 @@ class UIController {
         toast.innerHTML = `
             <span class="toast-icon">${icons[type]}</span>
             <div class="toast-content">
-                <div class="toast-title">${title}</div>
-                <div class="toast-message">${message}</div>
+                <div class="toast-title">${escapeHtml(title)}</div>
+                <div class="toast-message">${escapeHtml(message)}</div>
             </div>
         `;
 
@@ -777,11 +1389,42 @@ class UIController {
         this.elements.fromStation.addEventListener('change', () => {
             this.updateJourneyVisual();
             this.updateSeatGrid();
+            this.updateLoadPanel();
         });
 
         this.elements.toStation.addEventListener('change', () => {
             this.updateJourneyVisual();
             this.updateSeatGrid();
+            this.updateLoadPanel();
+        });
+
+        // Service and travel date picker
+        this.elements.serviceSelect.addEventListener('change', () => {
+            this.switchService(this.elements.serviceSelect.value, this.travelDate);
+        });
+
+        this.elements.travelDate.addEventListener('change', () => {
+            this.switchService(this.serviceId, this.elements.travelDate.value);
+        });
+
+        // Tree card tabs
+        this.elements.treeTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setTreeView(tab.dataset.treeView));
+        });
+
+        // Tree trace: player buttons, and remembering which subtrees were opened or closed
+        this.elements.traceBtn.addEventListener('click', () => this.handleTrace());
+        this.elements.treeContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-trace]');
+            if (button) {
+                this.stepTrace(button.dataset.trace);
+                return;
+            }
+            const summary = e.target.closest('summary');
+            if (summary && this.treeTrace) {
+                const details = summary.parentElement;
+                this.traceOpen.set(Number(details.dataset.node), !details.open);
+            }
         });
 
         // Book button
@@ -798,12 +1441,129 @@ class UIController {
         this.elements.queryBtn.addEventListener('click', () => {
             this.handleQuery();
         });
+
+        // Group booking by passenger count
+        this.elements.groupBtn.addEventListener('click', () => {
+            this.handleGroupBook();
+        });
+
+        // Automatic seat assignment
+        this.elements.autoBtn.addEventListener('click', () => {
+            this.handleAutoAssign();
+        });
+
+        // Undo / redo from buttons and keyboard (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z)
+        this.elements.undoBtn.addEventListener('click', () => this.handleUndoRedo('undo'));
+        this.elements.redoBtn.addEventListener('click', () => this.handleUndoRedo('redo'));
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave text fields their own undo
+            if (e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.handleUndoRedo('undo');
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.handleUndoRedo('redo');
+            }
+        });
+
+        // Time travel through the journal
+        this.elements.timeTravel.addEventListener('input', () => {
+            this.handleTimeTravel(parseInt(this.elements.timeTravel.value));
+        });
+
+        // Seat holds
+        this.elements.holdBtn.addEventListener('click', () => {
+            this.handleHold();
+        });
+        this.elements.holdList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-hold-action]');
+            if (button) this.handleHoldAction(button.dataset.holdAction, parseInt(button.dataset.holdId));
+        });
+
+        // Booking lookup by PNR
+        this.elements.lookupBtn.addEventListener('click', () => {
+            this.showBooking(this.elements.pnrInput.value.trim());
+        });
+        this.elements.pnrInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.showBooking(this.elements.pnrInput.value.trim());
+        });
+        this.elements.lookupResult.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleLookupAction(button.dataset.action);
+        });
+
+        // Passenger chart
+        this.elements.chartStation.addEventListener('change', () => this.renderChart());
+        this.elements.chartCsvBtn.addEventListener('click', () => this.handleChartExport('csv'));
+        this.elements.chartJsonBtn.addEventListener('click', () => this.handleChartExport('json'));
+
+        // Reports
+        this.elements.reportSelect.addEventListener('change', () => this.renderReport());
+        this.elements.reportCsvBtn.addEventListener('click', () => this.handleReportExport());
+
+        // Import and export
+        this.elements.exportCsvBtn.addEventListener('click', () => this.handleExport('csv'));
+        this.elements.exportJsonBtn.addEventListener('click', () => this.handleExport('json'));
+        this.elements.importBtn.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', () => {
+            const file = this.elements.importFile.files[0];
+            // Clear the input so choosing the same file again fires another change
+            this.elements.importFile.value = '';
+            if (file) this.handleImportFile(file);
+        });
+        this.elements.importPreview.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-import-action]');
+            if (button) this.handleImportAction(button.dataset.importAction);
+        });
+
+        // Seat timeline: drag across free cells to book, click a bar for its booking
+        this.elements.timeline.addEventListener('mousedown', (e) => {
+            const cell = e.target.closest('.timeline-cell');
+            if (!cell || e.button !== 0) return;
+            e.preventDefault();
+            const segment = Number(cell.dataset.segment);
+            this.timelineDrag = { seatId: Number(cell.dataset.seatId), start: segment, end: segment, moved: false };
+            this.showTimelineDrag();
+        });
+        this.elements.timeline.addEventListener('mouseover', (e) => {
+            const cell = e.target.closest('.timeline-cell');
+            const drag = this.timelineDrag;
+            if (!cell || !drag || Number(cell.dataset.segment) === drag.end) return;
+            // Only the segment counts, so the drag stays on its seat's row
+            drag.end = Number(cell.dataset.segment);
+            drag.moved = true;
+            this.showTimelineDrag();
+        });
+        document.addEventListener('mouseup', () => this.finishTimelineDrag());
+        this.elements.timeline.addEventListener('click', (e) => {
+            const bar = e.target.closest('.timeline-bar[data-pnr]');
+            const label = e.target.closest('.timeline-seat');
+            if (bar) this.selectTimelineBooking(bar.dataset.pnr);
+            if (label) this.selectSeat(Number(label.dataset.seatId), e.ctrlKey || e.metaKey || e.shiftKey);
+        });
+
+        // Split journey suggestion
+        this.elements.splitPlan.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-split-action]');
+            if (button) this.handleSplitAction(button.dataset.splitAction);
+        });
+
+        // Service setup
+        this.elements.addSeatsBtn.addEventListener('click', () => this.handleAddSeats());
+        this.elements.removeSeatsBtn.addEventListener('click', () => this.handleRemoveSeats());
+        this.elements.addStationBtn.addEventListener('click', () => this.handleAddStation());
     }
 
     /**
      * Handle booking action
      */
-    handleBook() {
+    async handleBook() {
+        if (!this.ensureLive()) return;
+
         if (this.selectedSeat === null) {
             this.showToast('No Seat Selected', 'Please select a seat first', 'error');
             return;
@@ -817,11 +1577,114 @@ class UIController {
             return;
         }
 
-        const result = this.system.book(this.selectedSeat, from, to);
+        // Several seats selected - book them together or not at all.
+        // Passenger details go on the first seat of a group.
+        const passenger = this.readPassenger();
+        if (this.selectedSeats.length > 1 && !this.ensureLocal()) return;
+
+        let result;
+        if (this.api) {
+            result = await this.api.book(this.selectedSeat, from, to, passenger);
+            await this.refreshFromApi();
+        } else if (this.selectedSeats.length > 1) {
+            result = this.system.bookGroup(this.selectedSeats, from, to, { passengers: passenger ? [passenger] : [] });
+        } else {
+            result = this.system.book(this.selectedSeat, from, to, passenger);
+        }
+
+        // Seat taken - queue for any seat on the journey instead
+        if (!result.success && !this.api && this.selectedSeats.length === 1 &&
+            this.elements.waitlistIfFull.checked &&
+            !this.system.isAvailable(this.selectedSeat, from, to)) {
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+            result = this.system.bookOrWaitlist(from, to, passenger);
+        }
 
         if (result.success) {
-            this.showToast('Booking Confirmed', result.message, 'success');
+            const title = { WL: 'Waitlisted', RAC: 'RAC Booked' }[result.status] || 'Booking Confirmed';
+            this.showToast(title, result.message, result.status === 'WL' ? 'info' : 'success');
+            this.addLogEntry(`${result.status === 'WL' ? 'Waitlisted' : 'Booked'}: ${result.message}`, 'success');
+            this.saveState();
+            this.clearPassenger();
+            this.showBooking(result.pnr || result.pnrs[0]);
+        } else {
+            this.showToast('Booking Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Handle group booking by passenger count
+     */
+    handleGroupBook() {
+        if (!this.ensureLive() || !this.ensureLocal()) return;
+
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
+        const count = parseInt(this.elements.groupSize.value);
+
+        if (from >= to) {
+            this.showToast('Invalid Range', 'Departure must be before arrival', 'error');
+            return;
+        }
+        if (!(count >= 1)) {
+            this.showToast('Invalid Group', 'Enter at least one passenger', 'error');
+            return;
+        }
+
+        const passenger = this.readPassenger();
+        const result = this.system.bookGroup(count, from, to, {
+            preferAdjacent: this.elements.groupAdjacent.checked,
+            passengers: passenger ? [passenger] : []
+        });
+
+        if (result.success) {
+            this.showToast('Group Booked', result.message, 'success');
             this.addLogEntry(`Booked: ${result.message}`, 'success');
+            this.saveState();
+            this.clearPassenger();
+            this.showBooking(result.pnrs[0]);
+            this.selectedSeats = [];
+            result.seatIds.forEach(id => this.selectSeat(id, true));
+        } else {
+            this.showToast('Group Booking Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Handle automatic seat assignment
+     */
+    handleAutoAssign() {
+        if (!this.ensureLive() || !this.ensureLocal()) return;
+
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
+
+        if (from >= to) {
+            this.showToast('Invalid Range', 'Departure must be before arrival', 'error');
+            return;
+        }
+
+        const result = this.system.autoAssign(
+            from, to, this.elements.strategySelect.value, this.readPassenger()
+        );
+
+        if (result.success) {
+            this.showToast('Booking Confirmed', result.message, 'success');
+            this.addLogEntry(`Auto-assigned: ${result.message}`, 'success');
+            this.saveState();
+            this.clearPassenger();
+            this.showBooking(result.pnr);
+            this.selectSeat(result.seatId);
         } else {
             this.showToast('Booking Failed', result.message, 'error');
             this.addLogEntry(`Failed: ${result.message}`, 'error');
@@ -832,10 +1695,233 @@ class UIController {
         this.updateTreeVisualization();
     }
 
+    /**
+     * Hold the selected seat for the selected journey
+     */
+    async handleHold() {
+        if (!this.ensureLive()) return;
+
+        if (this.selectedSeat === null) {
+            this.showToast('No Seat Selected', 'Please select a seat first', 'error');
+            return;
+        }
+
+        const from = parseInt(this.elements.fromStation.value);
+        const to = parseInt(this.elements.toStation.value);
+
+        if (from >= to) {
+            this.showToast('Invalid Range', 'Departure must be before arrival', 'error');
+            return;
+        }
+
+        const ttl = parseInt(this.elements.holdMinutes.value) * 60 * 1000;
+        let result;
+        if (this.api) {
+            result = await this.api.hold(this.selectedSeat, from, to, ttl);
+            await this.refreshFromApi();
+        } else {
+            result = this.system.hold(this.selectedSeat, from, to, ttl);
+        }
+
+        if (result.success) {
+            this.showToast('Seat Held', result.message, 'info');
+            this.addLogEntry(`Held: ${result.message}`, 'info');
+        } else {
+            this.showToast('Hold Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Confirm a hold as a booking, using the passenger fields, or release it
+     * @param {string} action - 'confirm' or 'release'
+     * @param {number} holdId
+     */
+    async handleHoldAction(action, holdId) {
+        if (!this.ensureLive()) return;
+
+        let result;
+        if (this.api) {
+            result = action === 'confirm'
+                ? await this.api.confirmHold(holdId, this.readPassenger())
+                : await this.api.releaseHold(holdId);
+            await this.refreshFromApi();
+        } else {
+            result = action === 'confirm'
+                ? this.system.confirmHold(holdId, this.readPassenger())
+                : this.system.releaseHold(holdId);
+        }
+
+        if (result.success && action === 'confirm') {
+            this.showToast('Booking Confirmed', result.message, 'success');
+            this.addLogEntry(`Booked: ${result.message}`, 'success');
+            this.saveState();
+            this.clearPassenger();
+            this.showBooking(result.pnr);
+        } else if (result.success) {
+            this.addLogEntry(`Released: ${result.message}`, 'info');
+        } else {
+            this.showToast(action === 'confirm' ? 'Booking Failed' : 'Release Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Download the bookings of the shown system as a file
+     * @param {string} format - 'csv' or 'json'
+     */
+    handleExport(format) {
+        this.download(exportBookings(this.system, format), 'bookings', format);
+        this.addLogEntry(`Exported ${this.system.bookings.length} booking(s) as ${format.toUpperCase()}`, 'info');
+    }
+
+    /**
+     * Download the passenger chart for all stations as a file
+     * @param {string} format - 'csv' or 'json'
+     */
+    handleChartExport(format) {
+        this.download(exportStationChart(this.system, format), 'chart', format);
+        this.addLogEntry(`Exported the passenger chart as ${format.toUpperCase()}`, 'info');
+    }
+
+    /**
+     * Download the chosen report as CSV
+     */
+    handleReportExport() {
+        const report = buildReport(this.system, this.elements.reportSelect.value);
+        if (!report.success) return;
+
+        this.download(exportReport(report), report.id, 'csv');
+        this.addLogEntry(`Exported the ${report.title.toLowerCase()} report as CSV`, 'info');
+    }
+
+    /**
+     * Save text as a file named after the service and date
+     * @param {string} text - File contents
+     * @param {string} prefix - Start of the file name, e.g. 'bookings'
+     * @param {string} format - 'csv' or 'json'
+     */
+    download(text, prefix, format) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: format === 'json' ? 'application/json' : 'text/csv' }));
+        link.download = `${prefix}-${this.serviceId}-${this.travelDate}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Read a chosen file and preview its import with a dry run
+     * @param {File} file - CSV or JSON file
+     */
+    async handleImportFile(file) {
+        if (!this.ensureLive()) return;
+
+        const text = await file.text();
+        const parsed = parseBookings(text);
+        if (!parsed.success) {
+            this.showToast('Import Failed', `${file.name}: ${parsed.message}`, 'error');
+            this.addLogEntry(`Import failed: ${file.name}: ${parsed.message}`, 'error');
+            return;
+        }
+
+        const result = this.api
+            ? await this.api.importBookings(text, true)
+            : this.system.importBookings(parsed.rows, { dryRun: true });
+        if (!result.results) {
+            this.showToast('Import Failed', result.message, 'error');
+            return;
+        }
+
+        this.pendingImport = { name: file.name, text, rows: parsed.rows };
+        this.renderImport(result);
+    }
+
+    /**
+     * Show the per-row results of an import or a dry run
+     * @param {Object} result - Result of importBookings()
+     */
+    renderImport(result) {
+        const rows = result.results.map(r => `
+            <div class="import-row ${r.success ? 'ok' : r.skipped ? '' : 'failed'}">
+                <span>Line ${r.line}</span>
+                <span>${escapeHtml(r.message)}</span>
+            </div>`).join('');
+
+        const actions = result.dryRun
+            ? `<button class="btn btn-primary" data-import-action="confirm" ${result.imported > 0 ? '' : 'disabled'}>Import ${result.imported} Row(s)</button>
+               <button class="btn btn-secondary" data-import-action="discard">Discard</button>`
+            : `<button class="btn btn-secondary" data-import-action="discard">Close</button>`;
+
+        this.elements.importPreview.innerHTML = `
+            <div class="import-summary">${escapeHtml(this.pendingImport.name)}: ${escapeHtml(result.message)}</div>
+            <div class="import-rows">${rows}</div>
+            <div class="import-actions">${actions}</div>
+        `;
+    }
+
+    /**
+     * Clear the import preview
+     */
+    closeImport() {
+        this.pendingImport = null;
+        this.elements.importPreview.innerHTML = '';
+    }
+
+    /**
+     * Import the previewed file, or discard the preview
+     * @param {string} action - 'confirm' or 'discard'
+     */
+    async handleImportAction(action) {
+        const pending = this.pendingImport;
+        if (action !== 'confirm' || !pending) {
+            this.closeImport();
+            return;
+        }
+        if (!this.ensureLive()) return;
+
+        let result;
+        if (this.api) {
+            result = await this.api.importBookings(pending.text, false);
+            await this.refreshFromApi();
+        } else {
+            result = this.system.importBookings(pending.rows);
+        }
+
+        if (result.success) {
+            this.showToast('Import Complete', result.message, 'success');
+            this.addLogEntry(`Imported ${pending.name}: ${result.message}`, 'success');
+            this.saveState();
+        } else {
+            this.showToast('Import Failed', result.message, 'error');
+            this.addLogEntry(`Import failed: ${result.message}`, 'error');
+        }
+
+        // Keep the rows on screen: the state may have changed since the dry run
+        if (result.results) {
+            this.renderImport(result);
+        } else {
+            this.closeImport();
+        }
+
+        this.updateSeatGrid();
+        this.updateStats();
+        this.updateTreeVisualization();
+    }
+
     /**
      * Handle cancellation action
      */
-    handleCancel() {
+    async handleCancel() {
+        if (!this.ensureLive()) return;
+
         if (this.selectedSeat === null) {
             this.showToast('No Seat Selected', 'Please select a seat first', 'error');
             return;
@@ -849,11 +1935,19 @@ class UIController {
             return;
         }
 
-        const result = this.system.cancel(this.selectedSeat, from, to);
+        let result;
+        if (this.api) {
+            result = await this.api.cancel(this.selectedSeat, from, to);
+            await this.refreshFromApi();
+        } else {
+            result = this.system.cancel(this.selectedSeat, from, to);
+        }
 
         if (result.success) {
             this.showToast('Cancelled', result.message, 'success');
             this.addLogEntry(`Cancelled: ${result.message}`, 'success');
+            this.logPromotions(result.promotions);
+            this.saveState();
         } else {
             this.showToast('Cancel Failed', result.message, 'error');
             this.addLogEntry(`Failed: ${result.message}`, 'error');
@@ -876,7 +1970,12 @@ class UIController {
             return;
         }
 
-        const result = this.system.queryAvailable(from, to);
+        const filters = {
+            position: this.elements.filterPosition.value,
+            berth: this.elements.filterBerth.value,
+            coach: this.elements.filterCoach.value
+        };
+        const result = this.system.queryAvailable(from, to, filters);
 
         // Highlight available seats
         const seats = this.elements.seatGrid.querySelectorAll('.seat');
@@ -895,21 +1994,365 @@ class UIController {
             this.addLogEntry(`Query: ${result.message}`, 'error');
         }
 
+        // No seat covers the journey - suggest changing seats on the way
+        const plan = result.available.length === 0 ? this.system.planSplitJourney(from, to, filters) : null;
+        if (plan && plan.success) {
+            this.renderSplit(plan);
+            this.addLogEntry(`Query: ${plan.message}`, 'info');
+        } else {
+            this.closeSplit();
+        }
+
+        this.updateStats();
+    }
+
+    /**
+     * Show a split journey plan with a button to book all its legs
+     * @param {Object} plan - Result of planSplitJourney()
+     */
+    renderSplit(plan) {
+        this.pendingSplit = plan;
+        const legs = plan.legs.map(leg => `
+            <div class="split-leg">
+                <span>Seat ${escapeHtml(this.system.seatLabel(leg.seatId))}</span>
+                <span>${escapeHtml(this.system.journeyText(leg.from, leg.to))}</span>
+            </div>`).join('');
+
+        this.elements.splitPlan.innerHTML = `
+            <div class="split-summary">No single seat is free. ${escapeHtml(plan.message)}</div>
+            ${legs}
+            <div class="split-actions">
+                <button class="btn btn-primary" data-split-action="book">Book All ${plan.legs.length} Legs</button>
+                <button class="btn btn-secondary" data-split-action="discard">Dismiss</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Clear the split journey suggestion
+     */
+    closeSplit() {
+        this.pendingSplit = null;
+        this.elements.splitPlan.innerHTML = '';
+    }
+
+    /**
+     * Book the suggested legs under one PNR, or dismiss the suggestion
+     * @param {string} action - 'book' or 'discard'
+     */
+    async handleSplitAction(action) {
+        const plan = this.pendingSplit;
+        if (action !== 'book' || !plan) {
+            this.closeSplit();
+            return;
+        }
+        if (!this.ensureLive()) return;
+
+        const passenger = this.readPassenger();
+        let result;
+        if (this.api) {
+            result = await this.api.bookSplitJourney(plan.legs, passenger);
+            await this.refreshFromApi();
+        } else {
+            result = this.system.bookSplitJourney(plan.legs, passenger);
+        }
+
+        if (result.success) {
+            this.showToast('Split Journey Booked', result.message, 'success');
+            this.addLogEntry(`Booked: ${result.message}`, 'success');
+            this.saveState();
+            this.clearPassenger();
+            this.showBooking(result.pnr);
+        } else {
+            this.showToast('Booking Failed', result.message, 'error');
+            this.addLogEntry(`Failed: ${result.message}`, 'error');
+        }
+        this.closeSplit();
+
+        this.updateSeatGrid();
         this.updateStats();
+        this.updateTreeVisualization();
+    }
+
+    /**
+     * Add the number of seats in the setup card to the end of the layout
+     */
+    handleAddSeats() {
+        const count = parseInt(this.elements.addSeatsCount.value);
+        if (!Number.isInteger(count) || count < 1) {
+            this.showToast('Invalid Count', 'Enter how many seats to add', 'error');
+            return;
+        }
+        this.handleReconfigure({ addSeats: count });
+    }
+
+    /**
+     * Remove the selected seats from the layout
+     */
+    handleRemoveSeats() {
+        if (this.selectedSeats.length === 0) {
+            this.showToast('No Seat Selected', 'Select the seats to remove first', 'error');
+            return;
+        }
+        this.handleReconfigure({ removeSeats: [...this.selectedSeats] });
+    }
+
+    /**
+     * Add the station in the setup card before the origin or after the
+     * terminus. A route without station codes just gets another station.
+     */
+    handleAddStation() {
+        const code = this.elements.stationCode.value.trim();
+        const station = code ? {
+            code,
+            name: this.elements.stationName.value.trim(),
+            distance: parseFloat(this.elements.stationKm.value)
+        } : {};
+        const atStart = this.elements.stationEnd.value === 'start';
+        this.handleReconfigure(atStart ? { stationsBefore: [station] } : { stationsAfter: [station] });
+    }
+
+    /**
+     * Resize the shown service on every travel date, locally or on the
+     * server, and rebuild every view for its new seats and stations
+     * @param {Object} changes - See SeatBookingSystem.resized()
+     */
+    async handleReconfigure(changes) {
+        if (!this.ensureLive()) return;
+
+        let result;
+        if (this.api) {
+            result = await this.api.reconfigure(changes);
+            if (result.success) await this.refreshFromApi();
+        } else {
+            result = this.registry.reconfigure(this.serviceId, changes);
+            if (result.success) {
+                this.system = this.registry.getSystem(this.serviceId, this.travelDate);
+                this.selectedSeat = null;
+                this.selectedSeats = [];
+                this.renderSystem();
+                this.saveState();
+            }
+        }
+
+        if (!result.success) {
+            this.showToast('Not Changed', result.message, 'error');
+            this.addLogEntry(`Not changed: ${result.message}`, 'error');
+            return;
+        }
+
+        this.showToast('Service Updated', result.message, 'success');
+        this.addLogEntry(`Service updated: ${result.message}`, 'success');
+        this.logPromotions(result.promotions);
+        ['stationCode', 'stationName', 'stationKm'].forEach(field => { this.elements[field].value = ''; });
+    }
+}
+
+/**
+ * Escape text for safe use inside innerHTML
+ * @param {string} text - Untrusted text such as a passenger name
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load named definitions (routes, layouts) from a JSON file.
+ *
+ * Invalid definitions are skipped and reported. Browsers block fetch()
+ * for pages opened from disk, so the file is only read when the app is
+ * served over HTTP; otherwise services fall back to their defaults.
+ *
+ * @param {string} url - Location of the config file
+ * @param {string} section - Key holding the definitions, e.g. 'routes'
+ * @param {Function} build - Validator such as Route.fromConfig
+ * @param {string} field - Result field holding the built object, e.g. 'route'
+ * @returns {Promise<{definitions: Object<string, Object>, errors: string[]}>}
+ */
+async function loadConfig(url, section, build, field) {
+    let config;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        config = await response.json();
+    } catch (e) {
+        return { definitions: {}, errors: [`Could not load ${url} (${e.message}), using defaults`] };
+    }
+
+    const definitions = {};
+    const errors = [];
+    for (const [id, definition] of Object.entries(config[section] || {})) {
+        const result = build(definition);
+        if (result.success) {
+            definitions[id] = result[field];
+        } else {
+            errors.push(`${id}: ${result.message}`);
+        }
+    }
+    return { definitions, errors };
+}
+
+// ====================== BOOKING SERVER CLIENT =======================
+
+/**
+ * Talks to the JSON API of server.js. The API numbers seats and stations
+ * from 1; this client takes and returns the 0-based indices used here.
+ */
+class ApiClient {
+    /**
+     * @param {string} baseUrl - Server address such as "http://localhost:8080",
+     *     or '' for the server that delivered this page
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    /**
+     * Call an endpoint
+     * @param {string} method - HTTP method
+     * @param {string} path - Path after /api, e.g. '/bookings'
+     * @param {Object} body - JSON body, if any
+     * @returns {Promise<Object>} The server's result; {success: false} if it was not reached
+     */
+    async request(method, path, body = null) {
+        try {
+            const response = await fetch(`${this.baseUrl}/api${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            return await response.json();
+        } catch (e) {
+            return { success: false, message: `Could not reach the booking server (${e.message})` };
+        }
+    }
+
+    /**
+     * Book a seat on the server, as SeatBookingSystem.book()
+     */
+    book(seatId, l, r, passenger = null) {
+        return this.request('POST', '/bookings', { seat: seatId + 1, from: l + 1, to: r + 1, passenger });
+    }
+
+    /**
+     * Cancel all or part of a booking on the server, as SeatBookingSystem.cancel()
+     */
+    cancel(seatId, l, r) {
+        return this.request('POST', '/cancel', { seat: seatId + 1, from: l + 1, to: r + 1 });
+    }
+
+    /**
+     * Cancel a booking on the server by its PNR
+     */
+    cancelByPnr(pnr) {
+        return this.request('DELETE', `/bookings/${encodeURIComponent(pnr)}`);
+    }
+
+    /**
+     * Move a booking or change its passenger on the server, as SeatBookingSystem.modifyBooking()
+     */
+    modifyBooking(pnr, changes) {
+        const body = { passenger: changes.passenger };
+        ['seat', 'from', 'to'].filter(field => field in changes).forEach(field => { body[field] = changes[field] + 1; });
+        return this.request('PATCH', `/bookings/${encodeURIComponent(pnr)}`, body);
+    }
+
+    /**
+     * Book the legs of a split journey on the server, as SeatBookingSystem.bookSplitJourney()
+     */
+    bookSplitJourney(legs, passenger = null) {
+        return this.request('POST', '/split', {
+            legs: legs.map(leg => ({ seat: leg.seatId + 1, from: leg.from + 1, to: leg.to + 1 })),
+            passenger
+        });
+    }
+
+    /**
+     * Hold a seat on the server, as SeatBookingSystem.hold()
+     */
+    hold(seatId, l, r, ttl) {
+        return this.request('POST', '/holds', { seat: seatId + 1, from: l + 1, to: r + 1, ttl: ttl / 1000 });
+    }
+
+    /**
+     * Book a held seat on the server
+     */
+    confirmHold(holdId, passenger = null) {
+        return this.request('POST', `/holds/${holdId}/confirm`, { passenger });
+    }
+
+    /**
+     * Release a hold on the server
+     */
+    releaseHold(holdId) {
+        return this.request('DELETE', `/holds/${holdId}`);
+    }
+
+    /**
+     * Import a CSV or JSON file on the server, as SeatBookingSystem.importBookings()
+     * @param {string} data - File contents
+     * @param {boolean} dryRun - Only preview the import
+     */
+    importBookings(data, dryRun) {
+        return this.request('POST', '/import', { data, dryRun });
+    }
+
+    /**
+     * Change the server's seats or stations, as SeatBookingSystem.resized()
+     */
+    reconfigure(changes) {
+        const body = { ...changes };
+        if (changes.removeSeats) body.removeSeats = changes.removeSeats.map(seatId => seatId + 1);
+        return this.request('POST', '/reconfigure', body);
+    }
+
+    /**
+     * Fetch the server's system as a local read-only copy
+     * @returns {Promise<{success: boolean, message: string, system?: SeatBookingSystem, revision?: number}>}
+     */
+    async fetchSystem() {
+        const data = await this.request('GET', '/system');
+        if (!data.success) return data;
+
+        const result = SeatBookingSystem.fromSnapshot(data.snapshot, {
+            route: new Route(data.route.stations, data.route.name),
+            layout: new Layout(data.layout.coaches)
+        });
+        if (!result.success) return result;
+
+        // Holds are not part of snapshots and come separately
+        result.system.restoreHolds(data.holds.map(h => ({ ...h, expiresAt: new Date(h.expiresAt) })));
+        return { ...result, revision: data.revision };
     }
 }
 
 // ========================= INITIALIZE APP ===========================
 
 // Wait for DOM to load
-document.addEventListener('DOMContentLoaded', () => {
-    // Create UI controller
-    const app = new UIController();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Create UI controller once the routes and layouts are known
+    const [routes, layouts] = await Promise.all([
+        loadConfig('routes.json', 'routes', Route.fromConfig, 'route'),
+        loadConfig('layouts.json', 'layouts', Layout.fromConfig, 'layout')
+    ]);
+    // "?api" books through server.js on this origin, "?api=URL" through another one
+    const app = new UIController({
+        routes: routes.definitions,
+        layouts: layouts.definitions,
+        errors: [...routes.errors, ...layouts.errors],
+        api: new URLSearchParams(location.search).get('api')
+    });
 
     // Run demo bookings after a short delay
     setTimeout(() => {
         console.log('Seat Booking System initialized');
-        console.log(`  ${app.NUM_SEATS} seats, ${app.NUM_STATIONS} stations`);
+        console.log(`  ${app.SERVICES.length} services, showing ${app.serviceId} on ${app.travelDate}`);
         console.log('  Using Segment Tree with Lazy Propagation');
     }, 500);
 });
@@ -0,0 +1,812 @@
+#!/usr/bin/env node
+/**
+ * ===================================================================
+ * Seat Booking System - Local HTTP API
+ * ===================================================================
+ *
+ * Serves one SeatBookingSystem from booking-core.js as a JSON API, plus
+ * the web app's static files so the page and the API share an origin.
+ * No CORS headers are sent, so pages from other origins cannot call it.
+ * Open http://localhost:8080/?api to make the page use this server
+ * instead of its own in-page system.
+ *
+ *   node server.js                        Port 8080, 24 seats, 10 stations
+ *   node server.js --port 9000 --state bookings.json
+ *   node server.js --routes routes.json --route MMCT-ADI
+ *
+ * System options are the same as for cli.js. With --state, bookings
+ * are loaded from the file on start and written back after every change.
+ *
+ * Endpoints (seats and stations are numbered from 1, as in the CLI; a
+ * seat may also be its label "B1-5" and a station its code "BRC"):
+ *
+ *   GET    /api/available?from=&to=    Free seats (&position=&berth=&coach= filter)
+ *   GET    /api/seats/:seat            One seat's status and active bookings
+ *   GET    /api/load[?from=&to=]       Seats booked per segment and the peak
+ *   GET    /api/bookings/:pnr          Look up a booking
+ *   POST   /api/bookings               Book {seat, from, to, passenger?}
+ *   POST   /api/cancel                 Cancel all or part of {seat, from, to}
+ *   PATCH  /api/bookings/:pnr          Move or edit {seat?, from?, to?, passenger?}
+ *   DELETE /api/bookings/:pnr          Cancel a booking by PNR
+ *   GET    /api/split?from=&to=        Seats to change between when no seat is free all the way
+ *   POST   /api/split                  Book the legs {legs: [{seat, from, to}], passenger?} under one PNR
+ *   GET    /api/holds                  Seats on hold
+ *   POST   /api/holds                  Hold {seat, from, to, ttl?} for ttl seconds (default 300)
+ *   POST   /api/holds/:id/confirm      Book a held seat {passenger?}
+ *   DELETE /api/holds/:id              Release a hold
+ *   GET    /api/export?format=csv|json All bookings as a file (see exportBookings)
+ *   GET    /api/chart[?format=csv|json] Boarding, alighting and vacant seats per station
+ *   GET    /api/reports                Names and titles of the analytics reports
+ *   GET    /api/reports/:name[?format=csv] One report's rows and summary, or its CSV
+ *   POST   /api/import                 Book rows {data, format?, dryRun?} from CSV or JSON text
+ *   POST   /api/reconfigure            Change seats or stations {addSeats?, removeSeats?: [seat],
+ *                                      stationsBefore?: [station], stationsAfter?: [station]}
+ *   GET    /api/system                 Full snapshot, route and layout (for the web app)
+ *
+ * Results are the system's own {success, message, ...} objects. Failed
+ * requests answer 400 (invalid input), 404 (unknown seat, PNR or
+ * booking or hold) or 409 (seat taken or held, nothing left to cancel).
+ *
+ * ===================================================================
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+    SeatBookingSystem, DEFAULT_HOLD_TTL, exportBookings, parseBookings, stationChartRecords, exportStationChart,
+    REPORTS, buildReport, exportReport
+} = require('./booking-core');
+const { parseArgs, createSystem } = require('./cli');
+
+// HTTP status for each failure reason returned by the system
+const STATUS_BY_REASON = { invalid: 400, 'not-found': 404, conflict: 409 };
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// The only files served outside /api/: the page and the configs it loads.
+// Anything else in the directory, such as a --state file full of passenger
+// details, stays private.
+const STATIC_FILES = ['index.html', 'index.css', 'index.js', 'booking-core.js', 'routes.json', 'layouts.json'];
+
+// Largest request body accepted, in bytes; imports carry whole files
+const MAX_BODY = 64 * 1024;
+const MAX_IMPORT_BODY = 2 * 1024 * 1024;
+
+// ============================== SERVER ==============================
+
+/**
+ * Handles API and static file requests for one booking system
+ */
+class BookingServer {
+    /**
+     * @param {SeatBookingSystem} system
+     * @param {Object} options
+     * @param {string} options.root - Directory of the static files (default: this file's)
+     * @param {string|null} options.statePath - File to save the system to after each change
+     * @param {Object[]} options.reconfigurations - Changes already made to the seats and
+     *     stations the server was started with, as loaded by loadState()
+     */
+    constructor(system, options = {}) {
+        this.system = system;
+        this.root = path.resolve(options.root || __dirname);
+        this.statePath = options.statePath || null;
+        this.reconfigurations = options.reconfigurations || [];
+
+        // Bumped on every change so clients can skip unchanged snapshots
+        this.revision = 0;
+
+        // [method, path pattern, handler, body limit?]; pattern groups become handler arguments
+        this.routes = [
+            ['GET', /^\/api\/system$/, this.getSystem],
+            ['GET', /^\/api\/available$/, this.getAvailable],
+            ['GET', /^\/api\/seats\/([^/]+)$/, this.getSeat],
+            ['GET', /^\/api\/load$/, this.getLoad],
+            ['GET', /^\/api\/bookings\/([^/]+)$/, this.getBooking],
+            ['POST', /^\/api\/bookings$/, this.postBooking],
+            ['POST', /^\/api\/cancel$/, this.postCancel],
+            ['PATCH', /^\/api\/bookings\/([^/]+)$/, this.patchBooking],
+            ['DELETE', /^\/api\/bookings\/([^/]+)$/, this.deleteBooking],
+            ['GET', /^\/api\/split$/, this.getSplit],
+            ['POST', /^\/api\/split$/, this.postSplit],
+            ['GET', /^\/api\/holds$/, this.getHolds],
+            ['POST', /^\/api\/holds$/, this.postHold],
+            ['POST', /^\/api\/holds\/(\d+)\/confirm$/, this.confirmHold],
+            ['DELETE', /^\/api\/holds\/(\d+)$/, this.deleteHold],
+            ['GET', /^\/api\/export$/, this.getExport],
+            ['GET', /^\/api\/chart$/, this.getChart],
+            ['GET', /^\/api\/reports$/, this.getReports],
+            ['GET', /^\/api\/reports\/([^/]+)$/, this.getReport],
+            ['POST', /^\/api\/import$/, this.postImport, MAX_IMPORT_BODY],
+            ['POST', /^\/api\/reconfigure$/, this.postReconfigure]
+        ];
+    }
+
+    /**
+     * Create a Node HTTP server for this booking server
+     * @returns {http.Server}
+     */
+    createHttpServer() {
+        return http.createServer((req, res) => {
+            this.handle(req, res).catch(e => {
+                this.send(res, 500, { success: false, message: `Internal error: ${e.message}` });
+            });
+        });
+    }
+
+    /**
+     * Answer one request
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!url.pathname.startsWith('/api/')) {
+            this.serveStatic(req, res, url.pathname);
+            return;
+        }
+
+        // Holds run out between requests; release them before answering
+        if (this.system.expireHolds().length > 0) this.revision++;
+
+        const matches = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+        if (matches.length === 0) {
+            this.send(res, 404, { success: false, message: `Unknown endpoint ${url.pathname}` });
+            return;
+        }
+
+        const route = matches.find(([method]) => method === req.method);
+        if (!route) {
+            res.setHeader('Allow', matches.map(([method]) => method).join(', '));
+            this.send(res, 405, { success: false, message: `${req.method} is not supported on ${url.pathname}` });
+            return;
+        }
+
+        let body = null;
+        if (req.method === 'POST' || req.method === 'PATCH') {
+            const read = await this.readBody(req, route[3]);
+            if (!read.success) {
+                this.send(res, read.status, { success: false, message: read.message });
+                return;
+            }
+            body = read.body;
+        }
+
+        let params;
+        try {
+            params = url.pathname.match(route[1]).slice(1).map(decodeURIComponent);
+        } catch (e) {
+            this.send(res, 400, { success: false, message: `Malformed escape in ${url.pathname}` });
+            return;
+        }
+        const [status, data, type] = route[2].call(this, { query: url.searchParams, body, params });
+        this.send(res, status, data, type);
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req
+     * @param {number} limit - Largest body accepted, in bytes
+     * @returns {Promise<{success: boolean, body?: Object, status?: number, message?: string}>}
+     */
+    readBody(req, limit = MAX_BODY) {
+        return new Promise(resolve => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size <= limit) chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (size > limit) {
+                    resolve({ success: false, status: 413, message: `Request body is over ${limit} bytes` });
+                    return;
+                }
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        resolve({ success: false, status: 400, message: 'Request body must be a JSON object' });
+                        return;
+                    }
+                    resolve({ success: true, body });
+                } catch (e) {
+                    resolve({ success: false, status: 400, message: `Request body is not valid JSON: ${e.message}` });
+                }
+            });
+            req.on('error', e => resolve({ success: false, status: 400, message: e.message }));
+        });
+    }
+
+    /**
+     * Send a JSON response, or text of another type
+     * @param {http.ServerResponse} res
+     * @param {number} status - HTTP status code
+     * @param {Object|string} data - Object to send as JSON, or the text itself
+     * @param {string} type - Content type of text data; omit for JSON
+     */
+    send(res, status, data, type = null) {
+        res.writeHead(status, { 'Content-Type': type || CONTENT_TYPES['.json'] });
+        res.end(type ? data : JSON.stringify(data));
+    }
+
+    /**
+     * Pick the HTTP status for a system result
+     * @param {{success: boolean, reason?: string}} result
+     * @param {number} okStatus - Status on success
+     * @returns {number}
+     */
+    statusFor(result, okStatus = 200) {
+        return result.success ? okStatus : STATUS_BY_REASON[result.reason] || 400;
+    }
+
+    /**
+     * Resolve a from/to station pair given as numbers or codes
+     * @param {*} from
+     * @param {*} to
+     * @returns {{l: number, r: number}|{error: string}}
+     */
+    parseRange(from, to) {
+        if (from === undefined || from === null || to === undefined || to === null) {
+            return { error: 'Give both "from" and "to" stations' };
+        }
+
+        const l = this.system.stationIndex(from);
+        const r = this.system.stationIndex(to);
+        if (l === -1) return { error: `Unknown station "${from}"` };
+        if (r === -1) return { error: `Unknown station "${to}"` };
+        if (l >= r) return { error: 'The "from" station must come before the "to" station' };
+        return { l, r };
+    }
+
+    /**
+     * Booking record as the API shows it, with 1-based seat and stations
+     * @param {Object} booking - Entry of system.bookings
+     * @returns {Object}
+     */
+    bookingJson(booking) {
+        const system = this.system;
+        return {
+            id: booking.id,
+            pnr: booking.pnr,
+            seat: booking.seatId === null ? null : booking.seatId + 1,
+            seatLabel: system.seatLabel(booking.seatId),
+            from: booking.from + 1,
+            to: booking.to + 1,
+            journey: system.stretchText(booking.from, booking.to),
+            status: booking.status,
+            active: booking.active,
+            passenger: booking.passenger || null,
+            fare: booking.fare ? booking.fare.total : null,
+            timestamp: booking.timestamp.toISOString()
+        };
+    }
+
+    /**
+     * Hold as the API shows it, with 1-based seat and stations
+     * @param {Object} hold - Entry of system.holds
+     * @returns {Object}
+     */
+    holdJson(hold) {
+        return {
+            id: hold.id,
+            seat: hold.seatId + 1,
+            seatLabel: this.system.seatLabel(hold.seatId),
+            from: hold.from + 1,
+            to: hold.to + 1,
+            journey: this.system.stretchText(hold.from, hold.to),
+            expiresAt: hold.expiresAt.toISOString()
+        };
+    }
+
+    /**
+     * Record a change: bump the revision and save the state file
+     */
+    changed() {
+        this.revision++;
+        if (!this.statePath) return;
+
+        // Write a temporary file first so a crash never leaves half a file
+        const temp = `${this.statePath}.tmp`;
+        try {
+            const state = { ...this.system.toSnapshot(), reconfigurations: this.reconfigurations };
+            fs.writeFileSync(temp, JSON.stringify(state));
+            fs.renameSync(temp, this.statePath);
+        } catch (e) {
+            console.error(`Could not save ${this.statePath}: ${e.message}`);
+        }
+    }
+
+    /**
+     * GET /api/system
+     */
+    getSystem() {
+        const system = this.system;
+        return [200, {
+            success: true,
+            revision: this.revision,
+            snapshot: system.toSnapshot(),
+            route: { name: system.route.name, stations: system.route.stations },
+            layout: { coaches: system.layout.coaches },
+            holds: system.holds.map(h => ({ ...h, expiresAt: h.expiresAt.toISOString() }))
+        }];
+    }
+
+    /**
+     * GET /api/available?from=&to=[&position=&berth=&coach=]
+     */
+    getAvailable({ query }) {
+        const range = this.parseRange(query.get('from'), query.get('to'));
+        if (range.error) return [400, { success: false, message: range.error }];
+
+        const result = this.system.queryAvailable(range.l, range.r, {
+            position: query.get('position') || '',
+            berth: query.get('berth') || '',
+            coach: query.get('coach') || ''
+        });
+        return [200, {
+            success: true,
+            message: result.message,
+            available: result.available.map(id => ({ seat: id + 1, seatLabel: this.system.seatLabel(id) }))
+        }];
+    }
+
+    /**
+     * GET /api/seats/:seat
+     */
+    getSeat({ params }) {
+        const system = this.system;
+        const seatId = system.seatIndex(params[0]);
+        if (seatId === -1) return [404, { success: false, message: `Unknown seat "${params[0]}"` }];
+
+        const seat = system.layout.seats[seatId];
+        return [200, {
+            success: true,
+            seat: seatId + 1,
+            seatLabel: system.seatLabel(seatId),
+            status: system.getSeatStatus(seatId),
+            position: seat.position,
+            berth: seat.berth,
+            fareClass: seat.fareClass,
+            bookings: system.bookings.filter(b => b.seatId === seatId && b.active).map(b => this.bookingJson(b))
+        }];
+    }
+
+    /**
+     * GET /api/load[?from=&to=]
+     */
+    getLoad({ query }) {
+        const system = this.system;
+        let range = { l: 0, r: system.numStations - 1 };
+        if (query.has('from') || query.has('to')) {
+            range = this.parseRange(query.get('from'), query.get('to'));
+            if (range.error) return [400, { success: false, message: range.error }];
+        }
+
+        const loads = system.getSegmentLoads();
+        const segments = [];
+        for (let i = range.l; i < range.r; i++) {
+            segments.push({ from: i + 1, to: i + 2, journey: system.stretchText(i, i + 1), load: loads[i] });
+        }
+        const peak = system.getPeakLoad(range.l, range.r);
+        return [200, {
+            success: true,
+            message: `Max load ${system.journeyText(range.l, range.r)}: ${peak.load} seat(s)`,
+            segments,
+            peak: { from: peak.segment + 1, to: peak.segment + 2, load: peak.load }
+        }];
+    }
+
+    /**
+     * GET /api/bookings/:pnr
+     */
+    getBooking({ params }) {
+        const result = this.system.findBooking(params[0]);
+        const entry = result.waitlist;
+        return [this.statusFor(result), {
+            success: result.success,
+            message: result.message,
+            bookings: result.bookings.map(b => this.bookingJson(b)),
+            waitlist: entry ? {
+                status: entry.status,
+                position: this.system.getWaitlistPosition(entry),
+                from: entry.from + 1,
+                to: entry.to + 1
+            } : null
+        }];
+    }
+
+    /**
+     * POST /api/bookings {seat, from, to, passenger?}
+     */
+    postBooking({ body }) {
+        const seatId = this.system.seatIndex(body.seat);
+        if (seatId === -1) return [400, { success: false, message: `Unknown seat "${body.seat}"` }];
+        const range = this.parseRange(body.from, body.to);
+        if (range.error) return [400, { success: false, message: range.error }];
+
+        const result = this.system.book(seatId, range.l, range.r, body.passenger || null);
+        if (result.success) this.changed();
+        return [this.statusFor(result, 201), result];
+    }
+
+    /**
+     * POST /api/cancel {seat, from, to}
+     */
+    postCancel({ body }) {
+        const seatId = this.system.seatIndex(body.seat);
+        if (seatId === -1) return [400, { success: false, message: `Unknown seat "${body.seat}"` }];
+        const range = this.parseRange(body.from, body.to);
+        if (range.error) return [400, { success: false, message: range.error }];
+
+        const result = this.system.cancel(seatId, range.l, range.r);
+        if (result.success) this.changed();
+        return [this.statusFor(result), result];
+    }
+
+    /**
+     * PATCH /api/bookings/:pnr {seat?, from?, to?, passenger?}
+     */
+    patchBooking({ params, body }) {
+        const changes = {};
+        if (body.seat !== undefined) {
+            changes.seat = this.system.seatIndex(body.seat);
+            if (changes.seat === -1) return [400, { success: false, message: `Unknown seat "${body.seat}"` }];
+        }
+        for (const field of ['from', 'to']) {
+            if (body[field] === undefined) continue;
+            changes[field] = this.system.stationIndex(body[field]);
+            if (changes[field] === -1) return [400, { success: false, message: `Unknown station "${body[field]}"` }];
+        }
+        if (body.passenger !== undefined) changes.passenger = body.passenger;
+
+        const result = this.system.modifyBooking(params[0], changes);
+        if (result.success) this.changed();
+        return [this.statusFor(result), result];
+    }
+
+    /**
+     * DELETE /api/bookings/:pnr
+     */
+    deleteBooking({ params }) {
+        const result = this.system.cancelByPnr(params[0]);
+        if (result.success) this.changed();
+        return [this.statusFor(result), result];
+    }
+
+    /**
+     * GET /api/split?from=&to=[&position=&berth=&coach=]
+     */
+    getSplit({ query }) {
+        const range = this.parseRange(query.get('from'), query.get('to'));
+        if (range.error) return [400, { success: false, message: range.error }];
+
+        const system = this.system;
+        const result = system.planSplitJourney(range.l, range.r, {
+            position: query.get('position') || '',
+            berth: query.get('berth') || '',
+            coach: query.get('coach') || ''
+        });
+        return [this.statusFor(result), {
+            ...result,
+            legs: result.legs.map(leg => ({
+                seat: leg.seatId + 1,
+                seatLabel: system.seatLabel(leg.seatId),
+                from: leg.from + 1,
+                to: leg.to + 1,
+                journey: system.stretchText(leg.from, leg.to)
+            })),
+            changes: result.changes.map(station => station + 1)
+        }];
+    }
+
+    /**
+     * POST /api/split {legs: [{seat, from, to}], passenger?}
+     */
+    postSplit({ body }) {
+        if (!Array.isArray(body.legs)) return [400, { success: false, message: 'Give the journey "legs" as a list' }];
+
+        const legs = [];
+        for (const leg of body.legs) {
+            const seatId = this.system.seatIndex(leg && leg.seat);
+            if (seatId === -1) return [400, { success: false, message: `Unknown seat "${leg && leg.seat}"` }];
+            const range = this.parseRange(leg.from, leg.to);
+            if (range.error) return [400, { success: false, message: range.error }];
+            legs.push({ seatId, from: range.l, to: range.r });
+        }
+
+        const result = this.system.bookSplitJourney(legs, body.passenger || null);
+        if (result.success) this.changed();
+        return [this.statusFor(result, 201), result];
+    }
+
+    /**
+     * GET /api/holds
+     */
+    getHolds() {
+        return [200, { success: true, holds: this.system.holds.map(h => this.holdJson(h)) }];
+    }
+
+    /**
+     * POST /api/holds {seat, from, to, ttl?}
+     */
+    postHold({ body }) {
+        const seatId = this.system.seatIndex(body.seat);
+        if (seatId === -1) return [400, { success: false, message: `Unknown seat "${body.seat}"` }];
+        const range = this.parseRange(body.from, body.to);
+        if (range.error) return [400, { success: false, message: range.error }];
+
+        const ttl = body.ttl === undefined ? DEFAULT_HOLD_TTL : Number(body.ttl) * 1000;
+        const result = this.system.hold(seatId, range.l, range.r, ttl);
+        // Holds are not saved, so only clients need to hear about them
+        if (result.success) this.revision++;
+        return [this.statusFor(result, 201), result];
+    }
+
+    /**
+     * POST /api/holds/:id/confirm {passenger?}
+     */
+    confirmHold({ params, body }) {
+        const result = this.system.confirmHold(Number(params[0]), body.passenger || null);
+        if (result.success) this.changed();
+        return [this.statusFor(result, 201), result];
+    }
+
+    /**
+     * DELETE /api/holds/:id
+     */
+    deleteHold({ params }) {
+        const result = this.system.releaseHold(Number(params[0]));
+        if (result.success) this.revision++;
+        return [this.statusFor(result), result];
+    }
+
+    /**
+     * GET /api/export?format=csv|json
+     */
+    getExport({ query }) {
+        const format = query.get('format') || 'csv';
+        if (format !== 'csv' && format !== 'json') {
+            return [400, { success: false, message: `Unknown format "${format}" (use csv or json)` }];
+        }
+        return [200, exportBookings(this.system, format), CONTENT_TYPES[`.${format}`]];
+    }
+
+    /**
+     * GET /api/chart[?format=csv|json]; without a format, a JSON result
+     */
+    getChart({ query }) {
+        const format = query.get('format');
+        if (format === null) {
+            return [200, { success: true, stations: stationChartRecords(this.system) }];
+        }
+        if (format !== 'csv' && format !== 'json') {
+            return [400, { success: false, message: `Unknown format "${format}" (use csv or json)` }];
+        }
+        return [200, exportStationChart(this.system, format), CONTENT_TYPES[`.${format}`]];
+    }
+
+    /**
+     * GET /api/reports
+     */
+    getReports() {
+        const reports = Object.entries(REPORTS).map(([name, report]) => ({ name, title: report.title }));
+        return [200, { success: true, reports }];
+    }
+
+    /**
+     * GET /api/reports/:name[?format=csv]
+     */
+    getReport({ params, query }) {
+        const report = buildReport(this.system, params[0]);
+        if (!report.success) return [404, report];
+
+        const format = query.get('format');
+        if (format === null) return [200, report];
+        if (format !== 'csv') {
+            return [400, { success: false, message: `Unknown format "${format}" (use csv)` }];
+        }
+        return [200, exportReport(report), CONTENT_TYPES['.csv']];
+    }
+
+    /**
+     * POST /api/import {data, format?, dryRun?}
+     */
+    postImport({ body }) {
+        if (typeof body.data !== 'string') {
+            return [400, { success: false, message: 'Give the file contents as "data"' }];
+        }
+        const parsed = parseBookings(body.data, body.format || 'auto');
+        if (!parsed.success) return [400, parsed];
+
+        // A dry run answers 200 even if no row fits: the preview itself worked
+        const result = this.system.importBookings(parsed.rows, { dryRun: Boolean(body.dryRun) });
+        if (result.dryRun) return [200, result];
+        if (result.success) this.changed();
+        return [this.statusFor(result), result];
+    }
+
+    /**
+     * POST /api/reconfigure {addSeats?, removeSeats?, stationsBefore?, stationsAfter?}
+     */
+    postReconfigure({ body }) {
+        const changes = {
+            addSeats: body.addSeats === undefined ? 0 : body.addSeats,
+            removeSeats: [],
+            stationsBefore: body.stationsBefore || [],
+            stationsAfter: body.stationsAfter || []
+        };
+        if (body.removeSeats !== undefined && !Array.isArray(body.removeSeats)) {
+            return [400, { success: false, message: 'Give the seats to remove as a list' }];
+        }
+        for (const seat of body.removeSeats || []) {
+            const seatId = this.system.seatIndex(seat);
+            if (seatId === -1) return [400, { success: false, message: `Unknown seat "${seat}"` }];
+            changes.removeSeats.push(seatId);
+        }
+
+        const result = this.system.resized(changes);
+        if (!result.success) return [this.statusFor(result), result];
+
+        this.system = result.system;
+        this.reconfigurations.push(changes);
+        this.changed();
+        return [200, { success: true, message: result.message, promotions: result.promotions }];
+    }
+
+    /**
+     * Serve one of STATIC_FILES from the static root, unless it is the
+     * state file
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {string} pathname - URL path
+     */
+    serveStatic(req, res, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+
+        const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+        const file = path.join(this.root, name);
+
+        if (!STATIC_FILES.includes(name) || (this.statePath && path.resolve(this.statePath) === file)) {
+            res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+            res.end('Not found');
+            return;
+        }
+
+        fs.readFile(file, (err, data) => {
+            if (err) {
+                res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] });
+            res.end(req.method === 'HEAD' ? undefined : data);
+        });
+    }
+}
+
+// ============================== MAIN ================================
+
+/**
+ * Split the server's own options from the system options of cli.js
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{port: number, host: string, statePath: string|null, rest: string[], error?: string}}
+ */
+function parseServerArgs(argv) {
+    const parsed = { port: 8080, host: '127.0.0.1', statePath: null, rest: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': {
+                const port = parseInt(value);
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    return { ...parsed, error: '--port needs a port number' };
+                }
+                parsed.port = port;
+                i++;
+                break;
+            }
+            case '--host':
+            case '--state':
+                if (!value) return { ...parsed, error: `${argv[i]} needs a value` };
+                parsed[argv[i] === '--host' ? 'host' : 'statePath'] = value;
+                i++;
+                break;
+            default:
+                parsed.rest.push(argv[i]);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Load saved bookings into a fresh system with the same configuration.
+ * Seat and station changes saved with them are made first.
+ *
+ * @param {SeatBookingSystem} system - Freshly created system
+ * @param {string} file - State file written by BookingServer
+ * @returns {{success: boolean, message: string, system?: SeatBookingSystem, reconfigurations?: Object[]}}
+ */
+function loadState(system, file) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return { success: false, message: `Could not read ${file}: ${e.message}` };
+    }
+
+    const reconfigurations = Array.isArray(snapshot.reconfigurations) ? snapshot.reconfigurations : [];
+    for (const changes of reconfigurations) {
+        const resized = system.resized(changes);
+        if (!resized.success) {
+            return { success: false, message: `${file}: a saved seat or station change no longer applies: ${resized.message}` };
+        }
+        system = resized.system;
+    }
+
+    const result = SeatBookingSystem.fromSnapshot(snapshot, {
+        layout: system.layout,
+        route: system.route,
+        fares: system.fares
+    });
+    if (result.success &&
+        (result.system.numSeats !== system.numSeats || result.system.numStations !== system.numStations)) {
+        return { success: false, message: `${file} was saved for a different number of seats or stations` };
+    }
+    return result.success ? { ...result, reconfigurations } : result;
+}
+
+if (require.main === module) {
+    const server = parseServerArgs(process.argv.slice(2));
+    const { options, script, error } = parseArgs(server.rest);
+    if (server.error || error || script || options.help) {
+        const problem = server.error || error || (script && `Unknown argument: ${script}`);
+        if (problem) console.error(problem);
+        console.log('Usage: node server.js [--port N] [--host ADDRESS] [--state FILE]');
+        console.log('                      [--seats N] [--stations M] [--seats-per-row K] [--rac 8,16]');
+        console.log('                      [--routes FILE --route ID] [--layouts FILE --layout ID]');
+        process.exit(problem ? 1 : 0);
+    }
+
+    const created = createSystem(options);
+    if (created.error) {
+        console.error(created.error);
+        process.exit(1);
+    }
+
+    let system = created.system;
+    let reconfigurations = [];
+    if (server.statePath && fs.existsSync(server.statePath)) {
+        const restored = loadState(system, server.statePath);
+        if (!restored.success) {
+            console.error(restored.message);
+            process.exit(1);
+        }
+        system = restored.system;
+        reconfigurations = restored.reconfigurations;
+        console.log(`${server.statePath}: ${restored.message}`);
+    }
+
+    new BookingServer(system, { statePath: server.statePath, reconfigurations })
+        .createHttpServer()
+        .listen(server.port, server.host, function () {
+            const { port } = this.address();
+            console.log(`Booking API on http://${server.host}:${port}/api/ (${system.numSeats} seats, ${system.numStations} stations)`);
+            console.log(`Web app using it: http://${server.host}:${port}/?api`);
+        });
+}
+
+module.exports = { BookingServer, parseServerArgs, loadState };